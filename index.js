@@ -22,28 +22,176 @@
  * SPDX-License-Identifier: GPL-3.0-or-later
  */
 
-const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const backends = require('./lib/backends');
+const { systemClock } = require('./lib/clock');
+const { STATE_VERSION, migrateState, writeFileAtomic, preserveCorruptFile } = require('./lib/state');
+const { createHistoryStore, toCsv, toGeoJson } = require('./lib/history');
+const { parsePolygon, pointInPolygon, inTimeWindow } = require('./lib/rules');
+const units = require('./lib/units');
+const forecast = require('./lib/forecast');
+const { version } = require('./package.json');
 
-module.exports = function (app) {
-  let timer = null;
+const windy = backends.windy;
+
+// Default Signal K source path for each observation field. Users can override any of
+// these in the pathMap section of the plugin configuration.
+const DEFAULT_PATHS = {
+  windSpeed: 'environment.wind.speedOverGround',
+  windGust: 'environment.wind.gust',
+  windDir: 'environment.wind.directionTrue',
+  temp: 'environment.outside.temperature',
+  pressure: 'environment.outside.pressure',
+  humidity: 'environment.outside.relativeHumidity',
+  dewPoint: 'environment.outside.dewPointTemperature',
+  uv: 'environment.outside.uvIndex',
+  solarRadiation: 'environment.outside.solarRadiation'
+};
+
+// Dashboard labels for each field, used for the compact heartbeat flags (e.g. "T:stale")
+const FIELD_LABELS = {
+  windSpeed: 'W',
+  windGust: 'G',
+  windDir: 'D',
+  temp: 'T',
+  pressure: 'P',
+  humidity: 'H',
+  dewPoint: 'Td',
+  uv: 'UV',
+  solarRadiation: 'SR'
+};
+
+// Quantity of each field, for converting from the units its path declares (see
+// lib/units.js). The rain gauge's depends on its type.
+const FIELD_QUANTITIES = {
+  windSpeed: 'speed',
+  windGust: 'speed',
+  windDir: 'angle',
+  temp: 'temperature',
+  pressure: 'pressure',
+  humidity: 'ratio',
+  dewPoint: 'temperature',
+  uv: 'index',
+  solarRadiation: 'irradiance'
+};
+
+// Windy's precip parameter is rain in mm over the last 60 minutes
+const PRECIP_WINDOW_MS = 60 * 60000;
+// A rain-rate gauge is only integrated across gaps shorter than this. Longer gaps
+// (sender offline, server restart) are skipped rather than guessed.
+const PRECIP_RATE_MAX_GAP_MS = 5 * 60000;
+
+// Inputs for deriving ground-referenced true wind when no true-wind paths are published
+const APPARENT_SPEED_PATH = 'environment.wind.speedApparent';
+const APPARENT_ANGLE_PATH = 'environment.wind.angleApparent';
+
+// Adaptive movement guard. Course over ground is noise below walking pace, so the
+// course-change trigger needs at least this speed and distance from the baseline.
+const KNOTS_TO_MS = 0.514444;
+const COURSE_MIN_SPEED = 1 * KNOTS_TO_MS;
+const COURSE_MIN_MOVE = 50;
+// Swing radius used when anchor watch is on but neither the plugin setting nor
+// navigation.anchor.maxRadius gives one
+const DEFAULT_ANCHOR_RADIUS = 100;
+
+// Quality control defaults, in the units shown in the configuration (m/s, °C, hPa,
+// %, W/m²). Spike limits are the largest accepted departure of a new reading from
+// the median of the previous minute.
+const QC_DEFAULTS = {
+  windSpeedMax: 75,
+  windSpeedSpike: 15,
+  tempMin: -60,
+  tempMax: 60,
+  tempSpike: 5,
+  pressureMin: 870,
+  pressureMax: 1085,
+  pressureSpike: 3,
+  humiditySpike: 25,
+  uvMax: 20,
+  solarRadiationMax: 1500
+};
+const QC_SPIKE_WINDOW_MS = 60000;
+// Spike rejection needs a few seconds of history, so the first readings after a
+// start (or after a sensor returns) are only range checked
+const QC_SPIKE_MIN_SAMPLES = 5;
+// Derived true wind is checked against the limits of the measured field
+const QC_FIELD = { derivedWindSpeed: 'windSpeed', derivedWindDir: 'windDir' };
+
+// Per-field calibration is entered in these units and applied as
+// corrected = raw * scale + offset. toUnit/fromUnit convert from and to Signal K units.
+const CALIBRATION_FIELDS = {
+  windSpeed: { title: 'Wind Speed', unit: 'm/s', toUnit: v => v, fromUnit: v => v },
+  windGust: { title: 'Wind Gust', unit: 'm/s', toUnit: v => v, fromUnit: v => v },
+  windDir: { title: 'Wind Direction', unit: '°', toUnit: r => r * 180 / Math.PI, fromUnit: d => (((d % 360) + 360) % 360) * Math.PI / 180 },
+  temp: { title: 'Outside Temp', unit: '°C', toUnit: k => k - 273.15, fromUnit: c => c + 273.15 },
+  pressure: { title: 'Barometric Pressure', unit: 'hPa', toUnit: pa => pa / 100, fromUnit: hpa => hpa * 100 },
+  humidity: { title: 'Relative Humidity', unit: '%', toUnit: r => r * 100, fromUnit: pct => Math.min(100, Math.max(0, pct)) / 100 },
+  dewPoint: { title: 'Dew Point', unit: '°C', toUnit: k => k - 273.15, fromUnit: c => c + 273.15 },
+  uv: { title: 'UV Index', unit: 'index', toUnit: v => v, fromUnit: v => v },
+  solarRadiation: { title: 'Solar Radiation', unit: 'W/m²', toUnit: v => v, fromUnit: v => v }
+};
+
+// Wind profile defaults for open sea: roughness length z0 (m) for the logarithmic
+// profile, and the power-law exponent for near-neutral conditions over water (Hsu 1994)
+const DEFAULT_ROUGHNESS_LENGTH = 0.0002;
+const DEFAULT_POWER_EXPONENT = 0.11;
+
+// Backoff after consecutive network failures: the delay doubles from the reporting
+// interval up to DEFAULT_BACKOFF_MAX minutes, plus up to DEFAULT_BACKOFF_JITTER percent
+const DEFAULT_BACKOFF_MAX = 60;
+const DEFAULT_BACKOFF_JITTER = 20;
+
+// Signal K context of the vessel running the server. Additional stations may report
+// for another context instead (see readPath).
+const SELF_CONTEXT = 'vessels.self';
+// A context is a group and an identifier, e.g. "meteo.urn:mrn:imo:mmsi:002655500:366097"
+const CONTEXT_PATTERN = /^[a-z]+\.[^.\s]+$/i;
+
+// Minutes between reads of the station record from Windy (see syncStation)
+const DEFAULT_SYNC_INTERVAL = 60;
+
+// A preferred $source that has not updated for this many seconds has dropped out, and
+// the next source in the field's list takes over (see readField)
+const DEFAULT_SOURCE_TIMEOUT = 60;
+
+// Hours of forecast comparisons the bias is averaged over (see verifyForecast)
+const DEFAULT_FORECAST_WINDOW = 24;
+
+// Telemetry name and unit of each forecast comparison field (see lib/forecast.js).
+// The differences are already SI: a temperature difference in °C is the same in K.
+const FORECAST_TELEMETRY = {
+  wind: { name: 'windSpeed', unit: 'm/s' },
+  gust: { name: 'windGust', unit: 'm/s' },
+  pressure: { name: 'pressure', unit: 'Pa' },
+  temp: { name: 'temperature', unit: 'K' }
+};
+
+/**
+ * Distance in metres between two { lat, lon } points using the Cheap Ruler
+ * (equirectangular) approximation, which is accurate to well under 1% at the
+ * distances the movement guard deals with.
+ */
+function cheapDistance(a, b) {
+  const kx = Math.cos(((a.lat + b.lat) / 2) * Math.PI / 180);
+  const dx = (b.lon - a.lon) * kx;
+  const dy = b.lat - a.lat;
+  return Math.sqrt(dx * dx + dy * dy) * 111319;
+}
+
+module.exports = function (app, clock = systemClock) {
+  // `clock` supplies the time and timers (see lib/clock.js). The Signal K server passes
+  // only `app`; the replay harness passes a virtual clock.
+  // All per-station reporting state lives in station objects (see createStation), so
+  // several Windy stations can be driven from one plugin instance. Ordered as configured:
+  // the first entry is the primary station from the top-level settings.
+  let stations = [];
   let statusTimer = null; // Variable for the live countdown heartbeat
-  let lastSentPos = { lat: 0, lon: 0 };
-  let currentDistance = 0;
-  let nextRunTime = 0;
-  let kx = 1; // Latitude scaling factor for Equirectangular projection (Cheap Ruler)
-  let lastReportString = ''; // Persistent storage for the last submitted data string
-
-  // Tracks whether the plugin has ever successfully sent a position update (PUT) to
-  // Windy since state was last initialized. When false, the first reporting cycle
-  // forces a PUT regardless of the movement guard — ensuring the station appears at
-  // the correct location on Windy after a fresh install, migration, or state reset.
-  // Persisted in state.json so it survives server restarts.
-  let hasReportedPosition = false;
-
-  // Peak Gust Tracking Variables
-  let peakGust = 0;
+
+  // Additional weather networks (see lib/backends) that receive the primary station's
+  // observation on their own interval. Entries are
+  // { backend, config, timer, nextRunTime, lastUpload, lastSnapshotTime }.
+  let uploaders = [];
 
   const plugin = {};
   plugin.id = 'signalk-windy-apiv2';
@@ -56,31 +204,431 @@ module.exports = function (app) {
     return path.join(dataDir, 'state.json');
   };
 
+  // The offline queue lives in its own file next to state.json. It is written on every
+  // change (not just in stop) because the whole point is to survive connectivity gaps
+  // that often coincide with power or server restarts.
+  const getQueueFilePath = () => {
+    const dataDir = app.getDataDirPath();
+    return path.join(dataDir, 'queue.json');
+  };
+
+  // Windy accepts one observation per 5 minutes per station
+  const RATE_LIMIT_MS = 5 * 60000;
+
+  // state.json is checkpointed after every reporting cycle and position update, and on
+  // this timer so the movement distance and rain accumulation between them survive a
+  // power cut too. Unchanged state is not rewritten, to spare SD cards.
+  const CHECKPOINT_MS = 60000;
+  let checkpointTimer = null;
+  let lastStateText = null;
+  // Observation history (see lib/history.js); null while stopped or when disabled
+  let history = null;
+
+  // state.json sections of stations that are not currently configured. They are written
+  // back unchanged, so temporarily disabling a station does not reset its baseline.
+  let otherStationState = {};
+
+  // Reporting Rules settings (see evaluateRules), shared by all stations. The territorial
+  // waters polygon is parsed once in start; rulesSince is when the plugin started, the
+  // reference for the on-the-hard rule until position or speed data arrives.
+  let reportingRules = {};
+  let territory = null;
+  let rulesSince = 0;
+
+  // Forecast verification settings (see verifyForecast); null when disabled
+  let forecastConfig = null;
+
+  /**
+   * Creates the reporting state for one Windy station. Everything that used to be a
+   * plugin-wide variable is per station, so each station keeps an independent movement
+   * baseline, rate-limit window, offline queue and state.json section.
+   */
+  function createStation(options, label, primary) {
+    return {
+      key: options.stationId,
+      options,
+      // Signal K context the station reports for (see readPath)
+      context: options.context,
+      // Prefix for log and dashboard messages. Empty when only one station is
+      // configured, so single-station output is unchanged.
+      label,
+      // Telemetry published into the Signal K tree (see publishTelemetry). The primary
+      // station uses plugins.windy.*; additional stations nest under their Station ID.
+      primary,
+      telemetryPath: primary ? 'plugins.windy' : `plugins.windy.stations.${options.stationId}`,
+      published: {}, // Last value sent for each telemetry path, so only changes are sent
+      alerts: {}, // Notification keys currently in the alert state
+      // Message of the last failed Windy request, cleared by the next accepted observation
+      lastError: null,
+
+      // Quality control: limits in Signal K units (see qcLimits), rejections per field
+      // since the last report (shown in the heartbeat) and since the plugin started
+      qcLimits: qcLimits(options),
+      // Source selection: the ordered $source list of each field that has one (see
+      // readField), the source each field is currently read from, and the sources used
+      // for the last observation (shown in /status)
+      sourcePriority: sourcePriority(options),
+      activeSources: {},
+      fieldSources: {},
+      // Field key -> unit declared in meta.units that could not be converted (see siValue)
+      unitErrors: {},
+      qcCounts: {},
+      qcTotals: {},
+      timer: null,
+      statusPrefix: 'Next', // Heartbeat wording: Warm, Resume or Next
+      lastSentPos: { lat: 0, lon: 0 },
+      currentDistance: 0,
+      nextRunTime: 0,
+      kx: 1, // Latitude scaling factor for Equirectangular projection (Cheap Ruler)
+      lastReportString: '', // Persistent storage for the last submitted data string
+
+      // Tracks whether the plugin has ever successfully sent a position update (PUT) to
+      // Windy since state was last initialized. When false, the first reporting cycle
+      // forces a PUT regardless of the movement guard — ensuring the station appears at
+      // the correct location on Windy after a fresh install, migration, or state reset.
+      // Persisted in state.json so it survives server restarts.
+      hasReportedPosition: false,
+
+      // Adaptive movement guard: course over ground (rad) at the last successful PUT,
+      // null until the vessel has been seen under way. Persisted with the baseline.
+      lastSentCourse: null,
+      // Time (ms) of the last PUT attempt, used to space PUTs sent between observations
+      lastPutTime: 0,
+      putInProgress: false,
+
+      // Observation built by the last reporting cycle, as { time, weather }. The other
+      // weather networks send this rather than reading the sensors again (see runUpload).
+      snapshot: null,
+
+      // Peak Gust Tracking
+      peakGust: 0,
+
+      // Interval Sampling
+      // Every mapped path is sampled at 1 Hz into a per-field buffer of { t, v } entries
+      // (t = arrival time in ms, v = raw SI value). The buffers hold a rolling window of
+      // one reporting interval, from which getStationData builds averaged values.
+      samples: {},
+      // Signal K path -> field keys mapped to it for this station
+      pathFields: {},
+
+      // Rain Gauge Accumulator
+      // Rain increments as { t, mm } covering a rolling 60 minutes, plus the last gauge
+      // reading (counter value in m, or rate in m/s) and when it arrived. Persisted in
+      // state.json so a restart mid-hour neither loses nor double-counts rain.
+      precip: { events: [], lastValue: null, lastTime: 0 },
+
+      // Last submissions and their HTTP outcome, exposed through the plugin's HTTP API.
+      // Each is { time, payload, ok, status, error } (plus ts for observations).
+      lastMetadata: null,
+      lastObservation: null,
+      // Guards against an HTTP-triggered report overlapping a scheduled one
+      reportInProgress: false,
+
+      // Field keys (windSpeed, temp, ...) omitted from the most recent report because their
+      // Signal K timestamp was older than the configured maximum age. Set by getStationData.
+      staleFields: [],
+
+      // Offline Observation Queue
+      // Observations that failed with a network-level error are buffered here (and mirrored
+      // to queue.json) so they can be replayed with their original `ts` once connectivity
+      // returns. Entries are { ts, weather } where ts is Unix epoch seconds.
+      observationQueue: [],
+      replayTimer: null,
+      // Time (ms) of the last observation GET accepted by Windy. Replays are spaced from it
+      // so they never collide with the one-per-5-minutes observation rate limit.
+      lastObservationTime: 0,
+      // True after an observation GET succeeds, false after a network-level failure.
+      // Replay only runs while the link is known to be up.
+      observationOnline: false,
+      // When no spare rate-limit window is left between live reports (see scheduleNext),
+      // the next cycle sends the oldest queued observation instead of a live one.
+      // replayNext marks that cycle; lastCycleReplay whether the cycle just run was one,
+      // so replayed and live observations alternate.
+      replayNext: false,
+      lastCycleReplay: false,
+      // Consecutive reporting cycles that failed at network level (no HTTP response).
+      // While above zero the station is offline: cycles back off (see backoffDelay) and
+      // start with a cheap probe. Any HTTP response from Windy resets it.
+      networkFailures: 0,
+
+      // Share option of the last successful position update (lowercase, as sent), so a
+      // change forced by the territorial waters rule is sent straight away. Persisted;
+      // null until known.
+      lastSentShare: null,
+      // Station sync (see syncStation): when the record is next read from Windy, whether
+      // the station is known to exist (null until the first read), and the last result
+      // as { time, ok, changes, error } for /status
+      nextSyncTime: 0,
+      stationConfirmed: null,
+      lastSync: null,
+
+      // Reporting rule text for the heartbeat and /status (see evaluateRules), and the
+      // reason reporting is currently paused, if it is
+      ruleState: null,
+      rulePause: null,
+
+      // Forecast verification (see verifyForecast): comparisons with the point forecast
+      // over the bias window, as { ts, lat, lon, model, forecast, delta }, persisted in
+      // state.json; and the last Point Forecast API error, so it is logged once
+      forecastHistory: [],
+      forecastError: null
+    };
+  }
+
   /**
-   * Heartbeat: Updates the Signal K Dashboard status with a live countdown.
-   * Format: "Next: XmXXs | Δ###m | W:## G:## D:### T:## P:### H:## | HH:MM"
+   * Builds the one-line dashboard status for a station.
+   * Format: "Next: XmXXs | Δ###m | Q:# | W:## G:## D:### T:## P:### H:## Td:## UV:# SR:### R:## | HH:MM"
+   * With more than one station the station ID follows the countdown.
+   * The Q:# segment only appears while observations are waiting in the offline queue,
+   * and a reporting rule in effect (e.g. "Paused: quiet hours until 06:00") follows the
+   * movement segment.
    * Ordered by time-sensitivity: countdown first, sensor data in middle,
    * timestamp last (degrades gracefully if dashboard truncates).
    */
-  const updateHeartbeatStatus = (msgPrefix = 'Next') => {
-    const remainingMs = nextRunTime - Date.now();
-    if (remainingMs > 0) {
-      const min = Math.floor(remainingMs / 60000);
-      const sec = Math.floor((remainingMs % 60000) / 1000);
-      
-      // Build compact status: countdown and distance from baseline first
-      const heartbeat = `${msgPrefix}: ${min}m${sec < 10 ? '0' : ''}${sec}s`;
-      const movement = `\u0394${Math.round(currentDistance)}m`;
-      
-      // Append last sensor data and timestamp if available (truncation-safe at the end)
-      const status = lastReportString 
-        ? `${heartbeat} | ${movement} | ${lastReportString}`
-        : `${heartbeat} | ${movement}`;
-        
-      app.setPluginStatus(status);
+  const statusLine = (station, countdown, detail = station.lastReportString) => {
+    const name = station.label ? `${station.key} | ` : '';
+    const rule = station.ruleState ? ` | ${station.ruleState}` : '';
+    const movement = `\u0394${Math.round(station.currentDistance)}m${queueStatus(station)}${rule}`;
+    return detail
+      ? `${countdown} | ${name}${movement} | ${detail}`
+      : `${countdown} | ${name}${movement}`;
+  };
+
+  // Countdown text, e.g. "4m05s"
+  const formatDuration = (ms) => {
+    const min = Math.floor(ms / 60000);
+    const sec = Math.floor((ms % 60000) / 1000);
+    return `${min}m${sec < 10 ? '0' : ''}${sec}s`;
+  };
+
+  /**
+   * Heartbeat: Updates the Signal K Dashboard status with a live countdown for the
+   * station that reports next. A station whose report is due or in flight has no
+   * countdown and is skipped, so the result of that report is not overwritten.
+   */
+  const updateHeartbeatStatus = () => {
+    const now = clock.now();
+    const upcoming = stations
+      .filter(s => s.nextRunTime - now > 0)
+      .sort((a, b) => a.nextRunTime - b.nextRunTime)[0];
+    if (!upcoming) return;
+
+    const remaining = formatDuration(upcoming.nextRunTime - now);
+    const countdown = upcoming.statusPrefix === 'Offline' ? `Offline (retry in ${remaining})` : `${upcoming.statusPrefix}: ${remaining}`;
+    app.setPluginStatus(statusLine(upcoming, countdown));
+  };
+
+  // --- CONFIGURATION SCHEMA ---
+  // Identity, movement guard and path mapping are shared between the primary station
+  // and the Additional Stations array, so they are defined once here.
+
+  const identitySchema = {
+    title: 'Vessel Identity & Sensors',
+    type: 'object',
+    properties: {
+      stationName: { 
+        type: 'string', 
+        title: 'Display Name', 
+        default: 'Signal K Vessel',
+        description: 'The name visible on the Windy map.'
+      },
+      station_type: { 
+        type: 'string', 
+        title: 'Station Type', 
+        default: 'Boat (Signal K)',
+        description: 'The category assigned to the reporting station.'
+      },
+      operator_url: { 
+        type: 'string', 
+        title: 'Operator Website URL',
+        description: 'A public link displayed on the Windy station page.'
+      },
+      shareOption: {
+        type: 'string',
+        title: 'Share Option',
+        default: 'public',
+        enum: ['public', 'only_windy', 'private'],
+        enumNames: [
+          'Public', 
+          'Windy',
+          'Private'
+        ]
+      },
+      agl_temp: {
+        type: 'integer', // Changed from 'number' to 'integer'
+        title: 'Temperature Sensor Height (m)',
+        default: 2,
+        description: 'Height of the thermometer above the water line (AGL). Must be a whole number.'
+      },
+      agl_wind: {
+        type: 'integer', // Changed from 'number' to 'integer'
+        title: 'Wind Sensor Height (m)',
+        default: 10,
+        description: 'Height of the anemometer above the water line (AGL). Must be a whole number.'
+      }
+    }
+  };
+
+  const movementGuardProperties = {
+    minMove: { 
+      type: 'number', 
+      title: 'Min Movement Threshold (Meters)', 
+      default: 300,
+      description: 'The distance required for a GPS position update on the Windy map.'
+    },
+    forceUpdate: { 
+      type: 'boolean', 
+      title: 'Force GPS Updates', 
+      default: false
+    },
+    anchorWatch: {
+      type: 'boolean',
+      title: 'Hold Position at Anchor',
+      default: false,
+      description: 'Suppresses position updates while the vessel stays within the swing radius of the anchor position (navigation.anchor.position, set by an anchor alarm).'
+    },
+    anchorRadius: {
+      type: 'number',
+      title: 'Anchor Swing Radius (Meters)',
+      minimum: 0,
+      description: 'Leave blank to use navigation.anchor.maxRadius from the anchor alarm, or 100 m if that is not set.'
+    },
+    speedScaling: {
+      type: 'boolean',
+      title: 'Scale Threshold with Speed',
+      default: false,
+      description: 'Shrinks the movement threshold as speed over ground rises, from the Min Movement Threshold when stopped to the Under-Way Threshold at the Under-Way Speed.'
+    },
+    minMoveUnderway: {
+      type: 'number',
+      title: 'Under-Way Threshold (Meters)',
+      default: 100,
+      minimum: 0
+    },
+    underwaySpeed: {
+      type: 'number',
+      title: 'Under-Way Speed (Knots)',
+      default: 6,
+      minimum: 0.1
+    },
+    courseChange: {
+      type: 'number',
+      title: 'Course Change Trigger (Degrees)',
+      default: 0,
+      minimum: 0,
+      maximum: 180,
+      description: 'Sends a position update when course over ground has changed by this much since the last one (at 1 knot or more). Set to 0 to disable.'
+    },
+    betweenCycles: {
+      type: 'boolean',
+      title: 'Update Position Between Observations',
+      default: false,
+      description: 'Checks the movement guard on every position fix and sends the position update straight away instead of waiting for the next observation. Position updates do not count against the observation rate limit.'
+    },
+    minPutInterval: {
+      type: 'number',
+      title: 'Min Time Between Position Updates (Seconds)',
+      default: 60,
+      minimum: 10
+    }
+  };
+
+  const pathMapSchema = {
+    title: 'Sensor Path Overrides (Advanced)',
+    type: 'object',
+    properties: {
+      windSpeed: { type: 'string', title: 'Wind Speed', default: DEFAULT_PATHS.windSpeed },
+      windGust: { type: 'string', title: 'Wind Gust', default: DEFAULT_PATHS.windGust },
+      windDir: { type: 'string', title: 'Wind Direction', default: DEFAULT_PATHS.windDir },
+      temp: { type: 'string', title: 'Outside Temp', default: DEFAULT_PATHS.temp },
+      pressure: { type: 'string', title: 'Barometric Pressure', default: DEFAULT_PATHS.pressure },
+      humidity: { type: 'string', title: 'Relative Humidity', default: DEFAULT_PATHS.humidity },
+      dewPoint: { type: 'string', title: 'Dew Point', default: DEFAULT_PATHS.dewPoint },
+      uv: { type: 'string', title: 'UV Index', default: DEFAULT_PATHS.uv },
+      solarRadiation: { type: 'string', title: 'Solar Radiation (W/m²)', default: DEFAULT_PATHS.solarRadiation },
+      precip: {
+        type: 'string',
+        title: 'Rain Gauge',
+        description: 'Signal K path of the rain gauge. Leave blank if no gauge is fitted.'
+      },
+      precipType: {
+        type: 'string',
+        title: 'Rain Gauge Type',
+        default: 'cumulative',
+        enum: ['cumulative', 'rate'],
+        enumNames: [
+          'Cumulative counter (m)',
+          'Rain rate (m/s)'
+        ]
+      },
+      maxAge: {
+        type: 'object',
+        title: 'Per-Field Stale Data Thresholds (Minutes)',
+        description: 'Overrides the global Stale Data Threshold for individual fields. Leave blank to use the global value; 0 disables the check for that field.',
+        properties: {
+          windSpeed: { type: 'number', title: 'Wind Speed', minimum: 0 },
+          windGust: { type: 'number', title: 'Wind Gust', minimum: 0 },
+          windDir: { type: 'number', title: 'Wind Direction', minimum: 0 },
+          temp: { type: 'number', title: 'Outside Temp', minimum: 0 },
+          pressure: { type: 'number', title: 'Barometric Pressure', minimum: 0 },
+          humidity: { type: 'number', title: 'Relative Humidity', minimum: 0 },
+          dewPoint: { type: 'number', title: 'Dew Point', minimum: 0 },
+          uv: { type: 'number', title: 'UV Index', minimum: 0 },
+          solarRadiation: { type: 'number', title: 'Solar Radiation', minimum: 0 }
+        }
+      },
+      sources: {
+        type: 'object',
+        title: 'Preferred Sources',
+        description: 'Where several sensors publish the same path, list the $source labels to use for a field, most preferred first and separated by commas (e.g. "n2k-gw.115, nmea0183.WI"). The first source with current data is used; when it stops updating, the next takes over. Unlisted sources are ignored for that field. Leave blank to use whichever source updated the path last.',
+        properties: {
+          windSpeed: { type: 'string', title: 'Wind Speed' },
+          windGust: { type: 'string', title: 'Wind Gust' },
+          windDir: { type: 'string', title: 'Wind Direction' },
+          temp: { type: 'string', title: 'Outside Temp' },
+          pressure: { type: 'string', title: 'Barometric Pressure' },
+          humidity: { type: 'string', title: 'Relative Humidity' },
+          dewPoint: { type: 'string', title: 'Dew Point' },
+          uv: { type: 'string', title: 'UV Index' },
+          solarRadiation: { type: 'string', title: 'Solar Radiation' }
+        }
+      },
+      sourceTimeout: {
+        type: 'number',
+        title: 'Source Failover After (Seconds)',
+        default: DEFAULT_SOURCE_TIMEOUT,
+        minimum: 1,
+        description: 'A preferred source that has not updated for this long is treated as dropped out.'
+      }
     }
   };
 
+  // Settings for one additional network: the backend's own credential fields plus
+  // the interval and server URL every network has
+  const uploaderSchema = (backend) => ({
+    title: backend.name,
+    type: 'object',
+    properties: {
+      enabled: {
+        type: 'boolean',
+        title: `Report to ${backend.name}`,
+        default: false
+      },
+      ...backend.schema,
+      interval: {
+        type: 'number',
+        title: 'Reporting Interval (Minutes)',
+        default: backend.defaultInterval,
+        minimum: backend.minInterval
+      },
+      baseUrl: {
+        type: 'string',
+        title: 'Server',
+        description: `Leave blank for ${backend.defaultBaseUrl}. Only change this to use a local stand-in server for testing.`
+      }
+    }
+  });
+
   plugin.schema = {
     type: 'object',
     required: ['credentials'],
@@ -108,322 +656,1279 @@ module.exports = function (app) {
           }
         }
       },
-      identity: {
-        title: 'Vessel Identity & Sensors',
+      identity: identitySchema,
+      logic: {
+        title: 'Transmission & Movement Guard',
         type: 'object',
         properties: {
-          stationName: { 
-            type: 'string', 
-            title: 'Display Name', 
-            default: 'Signal K Vessel',
-            description: 'The name visible on the Windy map.'
+          interval: { 
+            type: 'number', 
+            title: 'Reporting Interval (Minutes)', 
+            default: 5,
+            minimum: 5,
+            description: 'Minimum 5 minutes. Windy enforces a rate limit of one observation per 5 minutes per station.'
           },
-          station_type: { 
-            type: 'string', 
-            title: 'Station Type', 
-            default: 'Boat (Signal K)',
-            description: 'The category assigned to the reporting station.'
+          ...movementGuardProperties,
+          maxDataAge: {
+            type: 'number',
+            title: 'Stale Data Threshold (Minutes)',
+            default: 10,
+            minimum: 0,
+            description: 'Sensor values whose Signal K timestamp is older than this are omitted from the observation. Set to 0 to disable the check.'
           },
-          operator_url: { 
-            type: 'string', 
-            title: 'Operator Website URL',
-            description: 'A public link displayed on the Windy station page.'
+          queueMaxSize: {
+            type: 'integer',
+            title: 'Offline Queue Size (Observations)',
+            default: 288,
+            minimum: 0,
+            description: 'Maximum number of observations buffered while offline. Oldest entries are dropped first. Set to 0 to disable the queue.'
+          },
+          queueMaxAge: {
+            type: 'number',
+            title: 'Offline Queue Max Age (Hours)',
+            default: 24,
+            minimum: 1,
+            description: 'Queued observations older than this are discarded instead of replayed.'
+          },
+          historyDays: {
+            type: 'number',
+            title: 'Observation History (Days)',
+            default: 30,
+            minimum: 0,
+            description: 'Every observation attempt is kept in history.ndjson for this long and can be exported as CSV or GeoJSON from the plugin HTTP API. Set to 0 to disable the history.'
           },
-          shareOption: {
+          syncInterval: {
+            type: 'number',
+            title: 'Station Sync Interval (Minutes)',
+            default: DEFAULT_SYNC_INTERVAL,
+            minimum: 0,
+            description: 'How often the station record is read back from Windy. Fields that differ from this configuration, and a position further away than the movement threshold, are corrected. The record is also read on start, and observations wait until the station is confirmed to exist. Set to 0 to disable.'
+          }
+        }
+      },
+      pathMap: pathMapSchema,
+      deriveTrueWind: {
+        type: 'boolean',
+        title: 'Derive True Wind from Apparent Wind',
+        default: false,
+        description: 'When the wind speed or direction path has no data, calculate true wind speed and direction from apparent wind, speed/course over ground and heading. Applies to every station.'
+      },
+      aggregation: {
+        title: 'Sampling & Averaging',
+        type: 'object',
+        properties: {
+          averagingMode: {
             type: 'string',
-            title: 'Share Option',
-            default: 'public',
-            enum: ['public', 'only_windy', 'private'],
+            title: 'Averaging Mode',
+            default: 'average',
+            enum: ['average', 'instant'],
             enumNames: [
-              'Public', 
-              'Windy',
-              'Private'
+              'Average over reporting interval',
+              'Instantaneous snapshot'
             ]
           },
-          agl_temp: {
-            type: 'integer', // Changed from 'number' to 'integer'
-            title: 'Temperature Sensor Height (m)',
-            default: 2,
-            description: 'Height of the thermometer above the water line (AGL). Must be a whole number.'
+          gustWindow: {
+            type: 'number',
+            title: 'Gust Window (Seconds)',
+            default: 3,
+            minimum: 0,
+            description: 'Gust is reported as the highest mean wind speed over any window of this length. The WMO standard is 3 seconds. Set to 0 for the raw 1 Hz maximum.'
+          }
+        }
+      },
+      qc: {
+        title: 'Quality Control',
+        type: 'object',
+        description: 'Values outside these limits, and sudden jumps from the readings of the previous minute, are dropped before averaging and reporting. Spike limits of 0 disable spike rejection for that field.',
+        properties: {
+          enabled: {
+            type: 'boolean',
+            title: 'Reject Implausible Values',
+            default: true
+          },
+          windSpeedMax: { type: 'number', title: 'Max Wind Speed / Gust (m/s)', default: QC_DEFAULTS.windSpeedMax, minimum: 0 },
+          windSpeedSpike: { type: 'number', title: 'Wind Speed Spike Limit (m/s)', default: QC_DEFAULTS.windSpeedSpike, minimum: 0 },
+          tempMin: { type: 'number', title: 'Min Temperature (°C)', default: QC_DEFAULTS.tempMin },
+          tempMax: { type: 'number', title: 'Max Temperature (°C)', default: QC_DEFAULTS.tempMax },
+          tempSpike: { type: 'number', title: 'Temperature Spike Limit (°C)', default: QC_DEFAULTS.tempSpike, minimum: 0 },
+          pressureMin: { type: 'number', title: 'Min Pressure (hPa)', default: QC_DEFAULTS.pressureMin },
+          pressureMax: { type: 'number', title: 'Max Pressure (hPa)', default: QC_DEFAULTS.pressureMax },
+          pressureSpike: { type: 'number', title: 'Pressure Spike Limit (hPa)', default: QC_DEFAULTS.pressureSpike, minimum: 0 },
+          humiditySpike: { type: 'number', title: 'Humidity Spike Limit (%)', default: QC_DEFAULTS.humiditySpike, minimum: 0 },
+          uvMax: { type: 'number', title: 'Max UV Index', default: QC_DEFAULTS.uvMax, minimum: 0 },
+          solarRadiationMax: { type: 'number', title: 'Max Solar Radiation (W/m²)', default: QC_DEFAULTS.solarRadiationMax, minimum: 0 }
+        }
+      },
+      corrections: {
+        title: 'Mounting Corrections & Calibration',
+        type: 'object',
+        properties: {
+          normalizeWind: {
+            type: 'boolean',
+            title: 'Normalize Wind to 10 m',
+            default: false,
+            description: 'Converts wind speed and gust from the Wind Sensor Height to the 10 m reference height. Windy is then told the sensor is at 10 m.'
+          },
+          windProfile: {
+            type: 'string',
+            title: 'Wind Profile',
+            default: 'log',
+            enum: ['log', 'power'],
+            enumNames: ['Logarithmic (roughness length)', 'Power law (exponent)']
+          },
+          roughnessLength: {
+            type: 'number',
+            title: 'Roughness Length z0 (m)',
+            default: DEFAULT_ROUGHNESS_LENGTH,
+            exclusiveMinimum: 0,
+            description: 'For the logarithmic profile. 0.0002 m suits open sea; use around 0.001 m in a sheltered harbour.'
           },
-          agl_wind: {
-            type: 'integer', // Changed from 'number' to 'integer'
-            title: 'Wind Sensor Height (m)',
-            default: 10,
-            description: 'Height of the anemometer above the water line (AGL). Must be a whole number.'
+          powerExponent: {
+            type: 'number',
+            title: 'Power-Law Exponent',
+            default: DEFAULT_POWER_EXPONENT,
+            minimum: 0,
+            description: 'For the power-law profile. 0.11 suits open water.'
+          },
+          reducePressure: {
+            type: 'boolean',
+            title: 'Reduce Pressure to Sea Level',
+            default: false,
+            description: 'Reports mean sea level pressure instead of the pressure at the barometer, using the barometer height and the outside temperature.'
+          },
+          baroHeight: {
+            type: 'number',
+            title: 'Barometer Height (m)',
+            minimum: 0,
+            description: 'Height of the barometer above the water line. Leave blank to use the Temperature Sensor Height.'
+          },
+          calibration: {
+            title: 'Calibration (corrected = raw × scale + offset)',
+            type: 'object',
+            properties: Object.fromEntries(Object.keys(CALIBRATION_FIELDS).map(key => [key, {
+              title: `${CALIBRATION_FIELDS[key].title} (${CALIBRATION_FIELDS[key].unit})`,
+              type: 'object',
+              properties: {
+                offset: { type: 'number', title: 'Offset', default: 0 },
+                scale: { type: 'number', title: 'Scale', default: 1 }
+              }
+            }]))
           }
         }
       },
-      logic: {
-        title: 'Transmission & Movement Guard',
+      connectivity: {
+        title: 'Connectivity & Backoff',
         type: 'object',
+        description: 'How the plugin behaves on a slow, metered or intermittent link (satellite, cellular, marina WiFi).',
         properties: {
-          interval: { 
-            type: 'number', 
-            title: 'Reporting Interval (Minutes)', 
-            default: 5,
+          requestTimeout: {
+            type: 'number',
+            title: 'Request Timeout (Seconds)',
+            default: windy.defaultTimeout,
             minimum: 5,
-            description: 'Minimum 5 minutes. Windy enforces a rate limit of one observation per 5 minutes per station.'
+            description: 'How long a Windy position update or observation, or an upload to another network, may take before it counts as a network failure.'
           },
-          minMove: { 
-            type: 'number', 
-            title: 'Min Movement Threshold (Meters)', 
-            default: 300,
-            description: 'The distance required for a GPS position update on the Windy map.'
+          probeTimeout: {
+            type: 'number',
+            title: 'Probe Timeout (Seconds)',
+            default: windy.defaultProbeTimeout,
+            minimum: 1,
+            description: 'While offline, a small request checks that Windy is reachable before the full upload is sent. This is how long it may take.'
+          },
+          backoffMax: {
+            type: 'number',
+            title: 'Max Retry Delay (Minutes)',
+            default: DEFAULT_BACKOFF_MAX,
+            minimum: 5,
+            description: 'After consecutive network failures the time between attempts doubles, up to this limit. The normal interval resumes after the first success. Set it to the Reporting Interval to retry at the normal cadence.'
+          },
+          backoffJitter: {
+            type: 'number',
+            title: 'Retry Jitter (%)',
+            default: DEFAULT_BACKOFF_JITTER,
+            minimum: 0,
+            maximum: 100,
+            description: 'Random extra delay added to each retry, so devices that lost the same link do not all retry at once.'
+          }
+        }
+      },
+      rules: {
+        title: 'Reporting Rules',
+        type: 'object',
+        description: 'When and where the plugin reports. The rules apply to every station and are checked before each position update and observation.',
+        properties: {
+          quietHours: {
+            type: 'array',
+            title: 'Quiet Hours',
+            description: 'Times of day (server local time) when nothing is sent. A period may run past midnight, e.g. 22:00 to 06:00.',
+            items: {
+              type: 'object',
+              required: ['start', 'end'],
+              properties: {
+                start: { type: 'string', title: 'From (HH:MM)', pattern: '^([01]?[0-9]|2[0-3]):[0-5][0-9]$' },
+                end: { type: 'string', title: 'Until (HH:MM)', pattern: '^([01]?[0-9]|2[0-3]):[0-5][0-9]$' }
+              }
+            }
           },
-          forceUpdate: { 
-            type: 'boolean', 
-            title: 'Force GPS Updates', 
+          geofences: {
+            type: 'array',
+            title: 'No-Report Zones',
+            description: 'Reporting pauses while the vessel is inside any of these circles, e.g. the home marina where a shore station already reports, or a privacy zone around a mooring.',
+            items: {
+              type: 'object',
+              required: ['latitude', 'longitude', 'radius'],
+              properties: {
+                name: { type: 'string', title: 'Name' },
+                latitude: { type: 'number', title: 'Latitude', minimum: -90, maximum: 90 },
+                longitude: { type: 'number', title: 'Longitude', minimum: -180, maximum: 180 },
+                radius: { type: 'number', title: 'Radius (m)', default: 500, minimum: 1 }
+              }
+            }
+          },
+          territory: {
+            type: 'string',
+            title: 'Territorial Waters',
+            description: 'Polygon of one "latitude, longitude" point per line, in decimal degrees (at least three points). Leave blank to disable.'
+          },
+          outsideTerritory: {
+            type: 'string',
+            title: 'Outside Territorial Waters',
+            default: 'private',
+            enum: ['private', 'noPosition'],
+            enumNames: ['Report as a private station', 'Stop position updates']
+          },
+          onHardHours: {
+            type: 'number',
+            title: 'On the Hard After (Hours)',
+            default: 0,
+            minimum: 0,
+            description: 'Suspends reporting when neither the position nor the speed over ground has updated for this many hours, e.g. while the boat is laid up ashore with only the weather sensors powered. 0 disables.'
+          }
+        }
+      },
+      forecast: {
+        title: 'Forecast Verification',
+        type: 'object',
+        description: 'Compares each accepted observation with the Windy point forecast for the station\'s position, and publishes the differences and their rolling mean (the forecast bias) to Signal K.',
+        properties: {
+          enabled: {
+            type: 'boolean',
+            title: 'Enable Forecast Verification',
             default: false
+          },
+          apiKey: {
+            type: 'string',
+            title: 'Point Forecast API Key',
+            description: 'A key for the Point Forecast API from api.windy.com/keys. This is not the stations API key.'
+          },
+          model: {
+            type: 'string',
+            title: 'Forecast Model',
+            default: forecast.DEFAULT_MODEL,
+            enum: ['gfs', 'iconEu', 'arome', 'namConus', 'namHawaii', 'namAlaska'],
+            enumNames: ['GFS (global)', 'ICON-EU (Europe)', 'AROME (France)', 'NAM CONUS', 'NAM Hawaii', 'NAM Alaska']
+          },
+          windowHours: {
+            type: 'number',
+            title: 'Bias Window (Hours)',
+            default: DEFAULT_FORECAST_WINDOW,
+            minimum: 1,
+            description: 'The forecast bias is the mean difference over this many hours of comparisons.'
+          },
+          baseUrl: {
+            type: 'string',
+            title: 'Server',
+            description: `Leave blank for ${forecast.DEFAULT_BASE_URL}. Only change this to use a local stand-in server for testing.`
+          }
+        }
+      },
+      stations: {
+        title: 'Additional Stations',
+        description: 'Further Windy stations fed from this server, e.g. a second sensor set, a private test station, an AIS met station or a buddy boat. Each has its own credentials, identity, sensor paths and movement guard. The reporting interval, stale data, queue and averaging settings above apply to all stations.',
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['credentials'],
+          properties: {
+            enabled: {
+              type: 'boolean',
+              title: 'Enabled',
+              default: true
+            },
+            context: {
+              type: 'string',
+              title: 'Signal K Context',
+              description: 'Leave blank for this vessel. To report for another Signal K context, enter it in full, e.g. "meteo.urn:mrn:imo:mmsi:002655500:366097" for an AIS met/hydro station or "vessels.urn:mrn:imo:mmsi:230123456" for a buddy boat. Position and sensor paths are then read from that context; AIS met stations usually need the wind speed path set to environment.wind.averageSpeed.'
+            },
+            credentials: {
+              title: 'Windy API Credentials',
+              type: 'object',
+              required: ['stationId', 'stationPassword'],
+              properties: {
+                stationId: { type: 'string', title: 'Station ID' },
+                stationPassword: { type: 'string', title: 'Station Password' },
+                apiKey: {
+                  type: 'string',
+                  title: 'Global API Key',
+                  description: 'Leave blank to use the Global API Key of the primary station.'
+                }
+              }
+            },
+            identity: identitySchema,
+            logic: {
+              title: 'Movement Guard',
+              type: 'object',
+              properties: movementGuardProperties
+            },
+            pathMap: pathMapSchema
           }
         }
       },
-      pathMap: {
-        title: 'Sensor Path Overrides (Advanced)',
+      backends: {
+        title: 'Other Weather Networks',
         type: 'object',
+        description: 'Send the primary station\'s observations to further networks, each with its own credentials and interval. Windy remains the primary network.',
         properties: {
-          windSpeed: { type: 'string', title: 'Wind Speed', default: 'environment.wind.speedOverGround' },
-          windGust: { type: 'string', title: 'Wind Gust', default: 'environment.wind.gust' },
-          windDir: { type: 'string', title: 'Wind Direction', default: 'environment.wind.directionTrue' },
-          temp: { type: 'string', title: 'Outside Temp', default: 'environment.outside.temperature' },
-          pressure: { type: 'string', title: 'Barometric Pressure', default: 'environment.outside.pressure' },
-          humidity: { type: 'string', title: 'Relative Humidity', default: 'environment.outside.relativeHumidity' }
+          windy: {
+            title: 'Windy',
+            type: 'object',
+            properties: {
+              baseUrl: {
+                type: 'string',
+                title: 'Server',
+                description: `Leave blank for ${windy.defaultBaseUrl}. Only change this to use a local stand-in server for testing.`
+              }
+            }
+          },
+          ...Object.fromEntries(backends.uploaders.map(backend => [backend.id, uploaderSchema(backend)]))
         }
       }
     }
   };
 
+  const identityUiSchema = {
+    shareOption: {
+     "ui:help": "Public: aggregate data under the Aggregator Open Data License; Windy: Observations used only by Windy.com; Private: Private non-public use"
+    }
+  };
+
   plugin.uiSchema = {
     credentials: { 
       stationPassword: { "ui:widget": "password" }, 
       apiKey: { "ui:widget": "password" } 
     },
-    identity: {
-      shareOption: {
-       "ui:help": "Public: aggregate data under the Aggregator Open Data License; Windy: Observations used only by Windy.com; Private: Private non-public use"
-      }
-    },
+    identity: identityUiSchema,
     logic: {
       forceUpdate: {
         "ui:help": "Bypasses the Movement Guard to send GPS coordinates at every interval."
       }
     },
-    pathMap: { "ui:options": { collapsible: true, collapsed: true } }
+    pathMap: { "ui:options": { collapsible: true, collapsed: true } },
+    aggregation: {
+      "ui:options": { collapsible: true, collapsed: true },
+      averagingMode: {
+        "ui:help": "Average: wind speed, temperature, pressure and humidity are averaged over the interval and wind direction uses a vector mean. Instantaneous: the value at the moment of reporting."
+      }
+    },
+    qc: { "ui:options": { collapsible: true, collapsed: true } },
+    connectivity: { "ui:options": { collapsible: true, collapsed: true } },
+    rules: {
+      "ui:options": { collapsible: true, collapsed: true },
+      territory: { "ui:widget": "textarea" }
+    },
+    forecast: {
+      "ui:options": { collapsible: true, collapsed: true },
+      apiKey: { "ui:widget": "password" }
+    },
+    corrections: {
+      "ui:options": { collapsible: true, collapsed: true },
+      calibration: { "ui:options": { collapsible: true, collapsed: true } }
+    },
+    stations: {
+      items: {
+        credentials: {
+          stationPassword: { "ui:widget": "password" },
+          apiKey: { "ui:widget": "password" }
+        },
+        identity: identityUiSchema,
+        pathMap: { "ui:options": { collapsible: true, collapsed: true } }
+      }
+    },
+    backends: {
+      "ui:options": { collapsible: true, collapsed: true },
+      ...Object.fromEntries(backends.uploaders.map(backend => [
+        backend.id,
+        Object.fromEntries(backend.secretFields.map(key => [key, { "ui:widget": "password" }]))
+      ]))
+    }
   };
 
   // --- LIFECYCLE ---
 
-  plugin.start = function (settings) {
-    const options = { 
+  /**
+   * Flattens the settings into one options object per station. The primary station
+   * comes from the top-level sections. Each additional station starts from the
+   * primary's options (shared interval, queue, staleness and averaging settings, and
+   * the API key) and overrides credentials, identity, movement guard and paths.
+   * Blank fields in an additional station inherit the primary's value.
+   * The Windy server URL (normally blank) applies to every station. An additional
+   * station may report for another Signal K context; the primary is always this vessel.
+   */
+  function buildStationOptions(settings) {
+    const primary = { 
       ...(settings.credentials || {}), 
       ...(settings.identity || {}), 
       ...(settings.logic || {}), 
-      pathMap: settings.pathMap || {} 
+      ...(settings.aggregation || {}),
+      ...(settings.connectivity || {}),
+      pathMap: settings.pathMap || {},
+      deriveTrueWind: settings.deriveTrueWind === true,
+      qc: settings.qc || {},
+      corrections: settings.corrections || {},
+      baseUrl: ((settings.backends || {}).windy || {}).baseUrl,
+      context: SELF_CONTEXT
     };
 
+    // Drops blank values so they do not overwrite the inherited primary value
+    const given = (section) => {
+      const out = {};
+      Object.keys(section || {}).forEach(k => {
+        if (section[k] !== undefined && section[k] !== null && section[k] !== '') out[k] = section[k];
+      });
+      return out;
+    };
+
+    const additional = (settings.stations || [])
+      .filter(s => s && s.enabled !== false)
+      .map(s => ({
+        ...primary,
+        ...given(s.identity),
+        ...given(s.logic),
+        ...given(s.credentials),
+        pathMap: { ...primary.pathMap, ...given(s.pathMap) },
+        context: (s.context || '').trim() || SELF_CONTEXT
+      }));
+
+    return [primary, ...additional];
+  }
+
+  plugin.start = function (settings) {
+    const allOptions = buildStationOptions(settings);
+    const multi = allOptions.length > 1;
+    stations = [];
+    allOptions.forEach(options => {
+      // Station IDs key the persisted state, so each may appear only once
+      if (stations.some(s => s.key === options.stationId)) {
+        app.error(`Station ${options.stationId} is configured more than once; ignoring the duplicate`);
+        return;
+      }
+      if (!CONTEXT_PATTERN.test(options.context)) {
+        app.error(`Station ${options.stationId}: "${options.context}" is not a Signal K context (e.g. meteo.urn:mrn:imo:mmsi:002655500:366097); not reporting it`);
+        return;
+      }
+      stations.push(createStation(options, multi ? `[${options.stationId}] ` : '', stations.length === 0));
+    });
+    const primary = stations[0];
+
     // Load internal movement state from private file
     // app.getDataDirPath() is safe to call inside start()
-    try {
-      const stateFile = getStateFilePath();
-      if (fs.existsSync(stateFile)) {
-        const state = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
-        lastSentPos = state.lastSentPos || { lat: 0, lon: 0 };
-        currentDistance = state.currentDistance || 0;
-        nextRunTime = state.nextRunTime || 0;
-        hasReportedPosition = state.hasReportedPosition || false;
-        if (lastSentPos.lat) kx = Math.cos(lastSentPos.lat * Math.PI / 180);
-      }
-    } catch (e) { app.debug('Starting with fresh internal state.'); }
-
-    // --- PEAK GUST TRACKING (GAP CLOSER) ---
-    // Subscribe to navigation.position to track vessel movement for the Movement Guard
-    // Also subscribe to wind speed at 1Hz to track the highest wind speed observed between intervals
-    const windPath = options.pathMap.windSpeed || 'environment.wind.speedOverGround';
-
-    app.subscriptionmanager.subscribe({
-      context: 'vessels.self',
-      subscribe: [
-        { path: 'navigation.position', period: 1000 },
-        { path: windPath, period: 1000 }
-      ]
-    }, [], (err) => app.error(err), (delta) => {
-      delta.updates.forEach(u => u.values.forEach(v => {
-        if (v.path === 'navigation.position' && v.value) handlePositionUpdate(v.value);
+    // Each station has its own section under state.stations, keyed by station ID.
+    // Files from older releases are upgraded by migrateState (see lib/state.js). A file
+    // that cannot be read is kept as a backup rather than silently discarded, since
+    // starting fresh means a first-run position update and a reset movement baseline.
+    otherStationState = {};
+    lastStateText = null;
+    const stateFile = getStateFilePath();
+    if (fs.existsSync(stateFile)) {
+      try {
+        const { state, migratedFrom } = migrateState(JSON.parse(fs.readFileSync(stateFile, 'utf8')), { primaryKey: primary.key });
+        if (migratedFrom !== null) app.debug(`Upgraded state.json from schema version ${migratedFrom} to ${STATE_VERSION}`);
+        Object.keys(state.stations).forEach(key => {
+          const saved = state.stations[key];
+          const station = stations.find(s => s.key === key);
+          if (!station) {
+            otherStationState[key] = saved;
+            return;
+          }
+          station.lastSentPos = saved.lastSentPos || { lat: 0, lon: 0 };
+          station.currentDistance = saved.currentDistance || 0;
+          station.nextRunTime = saved.nextRunTime || 0;
+          station.hasReportedPosition = saved.hasReportedPosition || false;
+          station.lastSentCourse = typeof saved.lastSentCourse === 'number' ? saved.lastSentCourse : null;
+          station.lastSentShare = typeof saved.lastSentShare === 'string' ? saved.lastSentShare : null;
+          if (saved.precip && Array.isArray(saved.precip.events)) station.precip = saved.precip;
+          if (Array.isArray(saved.forecastHistory)) station.forecastHistory = saved.forecastHistory;
+          if (station.lastSentPos.lat) station.kx = Math.cos(station.lastSentPos.lat * Math.PI / 180);
+        });
+      } catch (e) {
+        setAsideUnreadable(stateFile, e, 'Starting with fresh internal state');
+      }
+    }
 
-        // Track Peak Gust
-        if (v.path === windPath && v.value !== null) {
-          if (v.value > peakGust) peakGust = v.value;
+    // Load the offline observation queues (one array per station ID; a pre-1.6 plain
+    // array belongs to the primary station). Stale or excess entries are pruned straight
+    // away so a long shutdown does not trigger a replay of observations Windy no longer wants.
+    try {
+      const queueFile = getQueueFilePath();
+      if (fs.existsSync(queueFile)) {
+        let queued = [];
+        try {
+          queued = JSON.parse(fs.readFileSync(queueFile, 'utf8'));
+        } catch (e) {
+          setAsideUnreadable(queueFile, e, 'Starting with an empty offline queue');
         }
-      }));
-    });
+        const queues = Array.isArray(queued) ? { [primary.key]: queued } : (queued || {});
+        stations.forEach(station => {
+          if (Array.isArray(queues[station.key])) station.observationQueue = queues[station.key];
+          pruneQueue(station);
+          if (station.observationQueue.length > 0) {
+            app.debug(`${station.label}Loaded ${station.observationQueue.length} queued observation(s) for replay`);
+          }
+        });
+      }
+    } catch (e) { app.debug('Starting with an empty observation queue.'); }
 
-    // Determine if the plugin should report immediately or wait based on persisted nextRunTime
-    const remainingTime = nextRunTime - Date.now();
-    if (remainingTime <= 0) {
-      // Warm-up delay: Give Signal K 15 seconds to receive sensor data before first report
-      nextRunTime = Date.now() + 15000;
-      statusTimer = setInterval(() => updateHeartbeatStatus('Warm'), 1000);
-      
-      timer = setTimeout(async () => {
-        clearInterval(statusTimer); // Stop warm-up countdown
-        const rescheduled = await reportToWindy(options);
-        // If reportToWindy already rescheduled (e.g., 429 retry_after), don't double-schedule
-        if (!rescheduled) scheduleNext(options);
-      }, 15000);
-    } else {
-      // Resuming logic with Heartbeat integration
-      statusTimer = setInterval(() => updateHeartbeatStatus('Resume'), 1000);
-      
-      timer = setTimeout(async () => { 
-        clearInterval(statusTimer);
-        const rescheduled = await reportToWindy(options); 
-        if (!rescheduled) scheduleNext(options); 
-      }, remainingTime);
+    // The history is shared by all stations; each entry carries its Station ID
+    const historyDays = (settings.logic || {}).historyDays === undefined ? 30 : settings.logic.historyDays;
+    history = null;
+    if (historyDays > 0) {
+      history = createHistoryStore({
+        file: path.join(app.getDataDirPath(), 'history.ndjson'),
+        retentionDays: historyDays,
+        now: () => clock.now(),
+        onError: (message) => app.error(message)
+      });
+      try {
+        history.load();
+      } catch (e) { app.error(`Failed to load observation history: ${e.message}`); }
     }
-  };
 
-  plugin.stop = function () {
-    if (timer) clearTimeout(timer);
-    if (statusTimer) clearInterval(statusTimer); // Clear heartbeat on stop
-    
-    // Save movement state to private file (Does not touch config/settings.json)
+    // Reporting rules. A polygon that does not parse disables only that rule, and says
+    // so, rather than guessing at the intended area.
+    reportingRules = settings.rules || {};
+    rulesSince = clock.now();
+    territory = null;
     try {
-      const dataDir = app.getDataDirPath();
-      const stateFile = getStateFilePath();
-      const state = { lastSentPos, currentDistance, nextRunTime, hasReportedPosition };
-      
-      if (!fs.existsSync(dataDir)) {
-        fs.mkdirSync(dataDir, { recursive: true });
+      territory = parsePolygon(reportingRules.territory);
+    } catch (e) {
+      app.error(`Territorial waters rule disabled: ${e.message}`);
+    }
+
+    // Forecast verification needs its own API key; without one it stays off, and says so
+    const forecastSettings = settings.forecast || {};
+    forecastConfig = null;
+    if (forecastSettings.enabled && !forecastSettings.apiKey) {
+      app.error('Forecast verification is enabled but has no Point Forecast API Key; not verifying');
+    } else if (forecastSettings.enabled) {
+      forecastConfig = {
+        ...forecastSettings,
+        requestTimeout: (settings.connectivity || {}).requestTimeout,
+        windowHours: forecastSettings.windowHours || DEFAULT_FORECAST_WINDOW
+      };
+      stations.forEach(pruneForecastHistory);
+    }
+
+    // --- INTERVAL SAMPLING & PEAK GUST TRACKING (GAP CLOSER) ---
+    // Subscribe to navigation.position to track vessel movement for the Movement Guard.
+    // Also subscribe to every mapped sensor path at 1Hz so the report can be built from
+    // the whole interval rather than one instantaneous snapshot, and so the highest
+    // wind speed observed between intervals is not missed.
+    // Several fields may be mapped to the same path, so each station groups its paths
+    // by field key. There is one subscription per Signal K context, covering the union
+    // of the paths of the stations reporting for it.
+    const contexts = [...new Set(stations.map(station => station.context))];
+    contexts.forEach(context => subscribeContext(context, stations.filter(station => station.context === context)));
+
+    // Determine if each station should report immediately or wait based on its persisted nextRunTime
+    stations.forEach(station => {
+      const remainingTime = station.nextRunTime - clock.now();
+      if (remainingTime <= 0) {
+        // Warm-up delay: Give Signal K 15 seconds to receive sensor data before first report
+        station.nextRunTime = clock.now() + 15000;
+        station.statusPrefix = 'Warm';
+        station.timer = clock.setTimeout(() => runCycle(station), 15000);
+      } else {
+        // Resuming logic with Heartbeat integration
+        station.statusPrefix = 'Resume';
+        station.timer = clock.setTimeout(() => runCycle(station), remainingTime);
       }
-      fs.writeFileSync(stateFile, JSON.stringify(state));
-    } catch (e) { app.error('Failed to save state file:', e.message); }
+    });
 
-    app.setPluginStatus('Stopped');
-  };
+    // Units for the telemetry paths, so dashboards and loggers can display them
+    publishTelemetryMeta();
 
-  // --- ENGINE ---
+    // One heartbeat for the plugin; it follows whichever station reports next.
+    // Telemetry rides on the same 1 Hz tick and only sends values that changed.
+    statusTimer = clock.setInterval(() => {
+      updateHeartbeatStatus();
+      stations.forEach(publishTelemetry);
+    }, 1000);
+
+    checkpointTimer = clock.setInterval(saveState, CHECKPOINT_MS);
+
+    // Additional networks start after the same warm-up, so the first upload has sensor data
+    const networks = settings.backends || {};
+    uploaders = backends.uploaders
+      .filter(backend => networks[backend.id] && networks[backend.id].enabled)
+      .filter(backend => {
+        if (backend.isConfigured(networks[backend.id])) return true;
+        app.error(`${backend.name} is enabled but its credentials are incomplete; not reporting to it`);
+        return false;
+      })
+      .map(backend => ({
+        backend,
+        config: { ...networks[backend.id], requestTimeout: (settings.connectivity || {}).requestTimeout },
+        timer: null, nextRunTime: 0, lastUpload: null, lastSnapshotTime: null
+      }));
+    uploaders.forEach(uploader => scheduleUpload(uploader, 15000));
+  };
 
   /**
-   * Tracks distance from the last reported (baseline) position using Cheap Ruler math.
-   * This is a radius calculation, not cumulative odometer distance.
+   * Subscribes to one Signal K context for the stations (`group`) reporting for it:
+   * navigation.position for the movement guard, and every mapped sensor path at 1Hz
+   * for interval sampling and the peak gust tracker.
    */
-  function handlePositionUpdate(pos) {
-    if (!lastSentPos.lat) {
-      lastSentPos = { lat: pos.latitude, lon: pos.longitude };
-      kx = Math.cos(pos.latitude * Math.PI / 180);
-      return;
-    }
-    const dx = (pos.longitude - lastSentPos.lon) * kx;
-    const dy = (pos.latitude - lastSentPos.lat);
-    currentDistance = Math.sqrt(dx * dx + dy * dy) * 111319; // Current radius in meters
-  }
+  function subscribeContext(context, group) {
+    const subscribedPaths = new Set(['navigation.position']);
+    group.forEach(station => {
+      const pm = station.options.pathMap;
+      Object.keys(DEFAULT_PATHS).forEach(key => {
+        const p = pm[key] || DEFAULT_PATHS[key];
+        (station.pathFields[p] = station.pathFields[p] || []).push(key);
+        subscribedPaths.add(p);
+      });
+      if (pm.precip) subscribedPaths.add(pm.precip);
+      if (station.options.deriveTrueWind) {
+        subscribedPaths.add(APPARENT_SPEED_PATH);
+        subscribedPaths.add(APPARENT_ANGLE_PATH);
+      }
+    });
+
+    // Latest apparent wind values from the subscription, keyed by Signal K path
+    const apparentWind = {};
+
+    app.subscriptionmanager.subscribe({
+      context,
+      subscribe: [...subscribedPaths].map(p => ({ path: p, period: 1000 }))
+    }, [], (err) => app.error(err), (delta) => {
+      delta.updates.forEach(u => u.values.forEach(v => {
+        if (v.path === 'navigation.position' && v.value) {
+          group.forEach(station => handlePositionUpdate(station, v.value));
+        }
+
+        const numeric = typeof v.value === 'number' && Number.isFinite(v.value);
+        group.forEach(station => {
+          if (station.pathFields[v.path] && numeric) {
+            // With Preferred Sources only the selected source is sampled, so the
+            // averages and gust tracker never mix two sensors (see readField)
+            station.pathFields[v.path]
+              .filter(key => !station.sourcePriority[key] || (readField(station, key) || {}).source === u.$source)
+              .forEach(key => {
+                const value = siValue(station, key, v.value);
+                if (value !== null) recordSample(station, key, value);
+              });
+          }
+          if (v.path === station.options.pathMap.precip && numeric) {
+            const value = siValue(station, 'precip', v.value);
+            if (value !== null) recordPrecip(station, value);
+          }
+        });
+
+        // Derived true wind is sampled alongside the measured paths. Each apparent wind
+        // update is combined with the current boat motion, so averaging and gust
+        // tracking see the same 1Hz stream they would get from a true-wind sensor.
+        if (v.path === APPARENT_SPEED_PATH || v.path === APPARENT_ANGLE_PATH) {
+          if (typeof v.value === 'number') apparentWind[v.path] = v.value;
+          if (v.path === APPARENT_SPEED_PATH) {
+            const deriving = group.filter(s => s.options.deriveTrueWind);
+            const derived = deriving.length > 0 &&
+              deriveTrueWind(deriving[0], apparentWind[APPARENT_SPEED_PATH], apparentWind[APPARENT_ANGLE_PATH]);
+            if (derived) {
+              deriving.forEach(station => {
+                recordSample(station, 'derivedWindSpeed', derived.speed);
+                recordSample(station, 'derivedWindDir', derived.direction);
+              });
+            }
+          }
+        }
+      }));
+    });
+  }
+
+  plugin.stop = function () {
+    if (statusTimer) clock.clearInterval(statusTimer); // Clear heartbeat on stop
+    statusTimer = null;
+    stations.forEach(station => {
+      if (station.timer) clock.clearTimeout(station.timer);
+      if (station.replayTimer) clock.clearTimeout(station.replayTimer);
+      station.replayTimer = null;
+    });
+    uploaders.forEach(uploader => {
+      if (uploader.timer) clock.clearTimeout(uploader.timer);
+    });
+    uploaders = [];
+
+    // Final checkpoint of the movement state (see saveState)
+    if (checkpointTimer) clock.clearInterval(checkpointTimer);
+    checkpointTimer = null;
+    saveState();
+
+    stations = [];
+    history = null;
+    app.setPluginStatus('Stopped');
+  };
+
+  // --- HTTP API ---
+
+  /**
+   * JSON endpoints mounted by Signal K under /plugins/signalk-windy-apiv2/:
+   *   GET  /status   - movement guard and scheduling state of each station, and the
+   *                    schedule of each additional network
+   *   GET  /last     - last metadata PUT and observation GET of each station, and the
+   *                    last upload to each additional network, with their results
+   *   GET  /history  - observation history as JSON, or CSV or GeoJSON with ?format=,
+   *                    optionally limited by ?station=, ?from= and ?to= (ISO 8601 times)
+   *   GET  /forecast - forecast verification: each station's comparisons over the bias
+   *                    window and the mean difference (bias) of each field
+   *   POST /report   - run a reporting cycle now (the timer restarts from this report)
+   *   POST /position - send a one-off metadata PUT with the current position,
+   *                    regardless of the movement guard (unlike the forceUpdate toggle,
+   *                    this does not persist)
+   * The POST actions apply to every station, or to one with ?station=<Station ID>.
+   * They answer 409 while a report or position update is running, and 429 with a
+   * Retry-After header while Windy's observation rate limit (for /report) or the
+   * minPutInterval spacing (for /position) would refuse the request anyway.
+   */
+  plugin.registerWithRouter = function (router) {
+    // Resolves the stations an action applies to, or sends the error response
+    const targetStations = (req, res) => {
+      if (stations.length === 0) {
+        res.status(503).json({ error: 'Plugin is not running' });
+        return null;
+      }
+      const wanted = req.query && req.query.station;
+      const targets = wanted ? stations.filter(s => s.key === wanted) : stations;
+      if (targets.length === 0) {
+        res.status(404).json({ error: `Unknown station: ${wanted}` });
+        return null;
+      }
+      return targets;
+    };
+
+    // Sends a 429 if any target has to wait `waitMs(station)` more, and returns true
+    const tooSoon = (res, targets, waitMs, what) => {
+      const wait = Math.max(...targets.map(waitMs));
+      if (wait <= 0) return false;
+      const seconds = Math.ceil(wait / 1000);
+      res.status(429).set('Retry-After', String(seconds)).json({ error: `${what}; try again in ${seconds}s` });
+      return true;
+    };
+
+    router.get('/status', (req, res) => {
+      res.json({
+        running: stations.length > 0,
+        stations: stations.map(station => ({
+          stationId: station.key,
+          context: station.context,
+          lastSentPos: station.lastSentPos,
+          currentDistance: Math.round(station.currentDistance),
+          nextRunTime: station.nextRunTime,
+          hasReportedPosition: station.hasReportedPosition,
+          moveThreshold: moveThreshold(station),
+          atAnchor: atAnchor(station),
+          peakGust: station.peakGust,
+          queueLength: station.observationQueue.length,
+          staleFields: station.staleFields,
+          qcRejected: station.qcTotals,
+          reportInProgress: station.reportInProgress,
+          rules: station.ruleState,
+          sources: station.fieldSources,
+          unitErrors: station.unitErrors,
+          stationConfirmed: station.stationConfirmed,
+          lastSync: station.lastSync,
+          forecastBias: forecastConfig ? forecast.bias(station.forecastHistory) : null,
+          online: station.networkFailures === 0,
+          networkFailures: station.networkFailures
+        })),
+        uploaders: uploaders.map(uploader => ({
+          id: uploader.backend.id,
+          nextRunTime: uploader.nextRunTime
+        }))
+      });
+    });
+
+    router.get('/last', (req, res) => {
+      res.json({
+        stations: stations.map(station => ({
+          stationId: station.key,
+          metadata: station.lastMetadata,
+          observation: station.lastObservation
+        })),
+        uploaders: uploaders.map(uploader => ({
+          id: uploader.backend.id,
+          upload: uploader.lastUpload
+        }))
+      });
+    });
+
+    router.get('/history', (req, res) => {
+      if (stations.length === 0) return res.status(503).json({ error: 'Plugin is not running' });
+      if (!history) return res.status(404).json({ error: 'Observation history is disabled' });
+      const query = req.query || {};
+      const range = {};
+      for (const key of ['from', 'to']) {
+        if (query[key] === undefined) continue;
+        range[key] = Date.parse(query[key]);
+        if (Number.isNaN(range[key])) return res.status(400).json({ error: `Invalid ${key} time: ${query[key]}` });
+      }
+      const entries = history.query({ station: query.station, ...range });
+      const name = `windy-history${query.station ? `-${query.station}` : ''}`;
+
+      switch (query.format || 'json') {
+        case 'json':
+          return res.json({ entries });
+        case 'csv':
+          res.set('Content-Type', 'text/csv; charset=utf-8');
+          res.set('Content-Disposition', `attachment; filename="${name}.csv"`);
+          return res.send(toCsv(entries));
+        case 'geojson':
+          res.set('Content-Type', 'application/geo+json');
+          res.set('Content-Disposition', `attachment; filename="${name}.geojson"`);
+          return res.send(JSON.stringify(toGeoJson(entries)));
+        default:
+          return res.status(400).json({ error: `Unknown format: ${query.format} (use json, csv or geojson)` });
+      }
+    });
+
+    router.get('/forecast', (req, res) => {
+      if (stations.length === 0) return res.status(503).json({ error: 'Plugin is not running' });
+      if (!forecastConfig) return res.status(404).json({ error: 'Forecast verification is disabled' });
+      res.json({
+        model: forecastConfig.model || forecast.DEFAULT_MODEL,
+        windowHours: forecastConfig.windowHours,
+        stations: stations.map(station => ({
+          stationId: station.key,
+          bias: forecast.bias(station.forecastHistory),
+          error: station.forecastError,
+          entries: station.forecastHistory
+        }))
+      });
+    });
+
+    router.post('/report', async (req, res) => {
+      const targets = targetStations(req, res);
+      if (!targets) return;
+      if (targets.some(s => s.reportInProgress)) return res.status(409).json({ error: 'A report is already in progress' });
+      if (tooSoon(res, targets, s => s.lastObservationTime + RATE_LIMIT_MS - clock.now(),
+        'Windy accepts one observation every 5 minutes')) return;
+      for (const station of targets) {
+        if (station.timer) clock.clearTimeout(station.timer);
+        await runCycle(station, true);
+      }
+      res.json({
+        stations: targets.map(station => ({
+          stationId: station.key,
+          metadata: station.lastMetadata,
+          observation: station.lastObservation
+        }))
+      });
+    });
+
+    router.post('/position', async (req, res) => {
+      const targets = targetStations(req, res);
+      if (!targets) return;
+      if (targets.some(s => s.reportInProgress || s.putInProgress)) {
+        return res.status(409).json({ error: 'A report or position update is already in progress' });
+      }
+      if (tooSoon(res, targets, s => s.lastPutTime + (s.options.minPutInterval || 60) * 1000 - clock.now(),
+        'Position updates are spaced by the Min Time Between Position Updates')) return;
+      // Each station's own context supplies the position and decides the rules
+      const blocked = (station) => {
+        const pos = readPath(station, 'navigation.position');
+        if (!pos || !pos.value) {
+          return station.context === SELF_CONTEXT ? 'No vessel position available' : `No position available for ${station.context}`;
+        }
+        const rules = evaluateRules(station);
+        if (rules.pause || rules.noPosition) return `Position updates are withheld by a reporting rule (${rules.state})`;
+        return null;
+      };
+      const reasons = targets.map(blocked);
+      if (reasons.every(Boolean)) return res.status(409).json({ error: reasons[0] });
+      let allOk = true;
+      for (const [i, station] of targets.entries()) {
+        if (reasons[i]) continue;
+        if (!(await updateStationMetadata(station, readPath(station, 'navigation.position')))) allOk = false;
+      }
+      res.status(allOk ? 200 : 502).json({
+        stations: targets.map((station, i) => reasons[i]
+          ? { stationId: station.key, error: reasons[i] }
+          : { stationId: station.key, metadata: station.lastMetadata })
+      });
+    });
+  };
+
+  // --- ENGINE ---
+
+  /**
+   * Adds a 1Hz sample to the field's rolling buffer and, for wind speed, updates the
+   * peak gust tracker. Samples older than one reporting interval are discarded here,
+   * so the buffers stay bounded even when reports keep failing.
+   *
+   * Gust follows the WMO convention: the highest mean wind speed over any window of
+   * gustWindow seconds (3 s by default). A raw 1 Hz maximum overstates gusts on a
+   * rolling boat because single masthead samples include the mast's own motion.
+   * A gustWindow of 0 keeps the raw maximum.
+   */
+  function recordSample(station, key, value) {
+    const options = station.options;
+    const samples = station.samples;
+    const now = clock.now();
+    const buffer = samples[key] = samples[key] || [];
+
+    // QUALITY CONTROL: out-of-range readings and spikes never enter the buffer, so they
+    // cannot distort the averages or the gust tracker
+    const reason = qcCheck(station, key, value, buffer);
+    if (reason) {
+      qcReject(station, key, value, reason);
+      return;
+    }
+    buffer.push({ t: now, v: value });
+
+    const windowStart = now - (options.interval || 5) * 60000;
+    while (buffer.length && buffer[0].t < windowStart) buffer.shift();
+
+    // Derived wind speed only feeds the gust tracker while the configured true-wind
+    // speed path is silent (no sample within the interval), so a boat with both never
+    // mixes the two sources.
+    const trueWind = samples.windSpeed;
+    const feedsGust = key === 'windSpeed' ||
+      (key === 'derivedWindSpeed' && !(trueWind && trueWind.length && trueWind[trueWind.length - 1].t >= windowStart));
+    if (feedsGust) {
+      const gustWindowMs = (options.gustWindow === undefined ? 3 : options.gustWindow) * 1000;
+      let gust = value;
+      if (gustWindowMs > 0) {
+        let sum = 0;
+        let count = 0;
+        for (let i = buffer.length - 1; i >= 0 && buffer[i].t > now - gustWindowMs; i--) {
+          sum += buffer[i].v;
+          count++;
+        }
+        gust = sum / count;
+      }
+      if (gust > station.peakGust) station.peakGust = gust;
+    }
+  }
+
+  /**
+   * Reduces a field's sample buffer to a single value for the report:
+   *   windDir  - circular (vector) mean, so 359° and 1° average to 0°, not 180°
+   *              (also used for derivedWindDir)
+   *   windGust - maximum, since the source already reports gusts
+   *   others   - arithmetic mean
+   * Returns null when the field has no samples in the current window.
+   */
+  function aggregateSamples(station, key) {
+    const buffer = station.samples[key];
+    if (!buffer || buffer.length === 0) return null;
+
+    if (key === 'windDir' || key === 'derivedWindDir') {
+      let x = 0;
+      let y = 0;
+      buffer.forEach(s => { x += Math.cos(s.v); y += Math.sin(s.v); });
+      const mean = Math.atan2(y, x);
+      return mean < 0 ? mean + 2 * Math.PI : mean;
+    }
+    if (key === 'windGust') return Math.max(...buffer.map(s => s.v));
+    return buffer.reduce((sum, s) => sum + s.v, 0) / buffer.length;
+  }
+
+  /**
+   * Tracks distance from the last reported (baseline) position using Cheap Ruler math.
+   * This is a radius calculation, not cumulative odometer distance.
+   */
+  function handlePositionUpdate(station, pos) {
+    if (!station.lastSentPos.lat) {
+      station.lastSentPos = { lat: pos.latitude, lon: pos.longitude };
+      station.kx = Math.cos(pos.latitude * Math.PI / 180);
+      return;
+    }
+    const dx = (pos.longitude - station.lastSentPos.lon) * station.kx;
+    const dy = (pos.latitude - station.lastSentPos.lat);
+    station.currentDistance = Math.sqrt(dx * dx + dy * dy) * 111319; // Current radius in meters
+
+    if (station.options.betweenCycles) updatePositionBetweenCycles(station);
+  }
+
+  /**
+   * Reads a path of the Signal K context a station reports for: this vessel through
+   * getSelfPath, any other context (an AIS met station, a buddy boat) through getPath
+   * on the full tree. Returns the node ({ value, timestamp, ... }) or undefined.
+   */
+  function readPath(station, p) {
+    return station.context === SELF_CONTEXT ? app.getSelfPath(p) : app.getPath(`${station.context}.${p}`);
+  }
+
+  // Current value of a numeric Signal K path in the station's context, or null
+  function pathNumber(station, p) {
+    const v = readPath(station, p);
+    return v && typeof v.value === 'number' ? v.value : null;
+  }
+
+  /**
+   * True while anchor watch is on and both the vessel and the last reported position
+   * are inside the swing radius of the anchor. Checking the reported position too means
+   * a station last placed outside the anchorage still gets one update after anchoring.
+   */
+  function atAnchor(station) {
+    const options = station.options;
+    if (!options.anchorWatch) return false;
+    const anchor = readPath(station, 'navigation.anchor.position');
+    const pos = readPath(station, 'navigation.position');
+    if (!anchor || !anchor.value || !pos || !pos.value || !station.hasReportedPosition) return false;
+
+    const radius = options.anchorRadius || pathNumber(station, 'navigation.anchor.maxRadius') || DEFAULT_ANCHOR_RADIUS;
+    const anchorPos = { lat: anchor.value.latitude, lon: anchor.value.longitude };
+    return cheapDistance(anchorPos, { lat: pos.value.latitude, lon: pos.value.longitude }) <= radius &&
+      cheapDistance(anchorPos, station.lastSentPos) <= radius;
+  }
+
+  /**
+   * Distance (m) that triggers a position update. With speed scaling the threshold
+   * falls linearly from minMove when stopped to minMoveUnderway at underwaySpeed, so
+   * a drifting boat needs a large move while one under way is tracked closely.
+   */
+  function moveThreshold(station) {
+    const options = station.options;
+    const minMove = options.minMove || 300;
+    if (!options.speedScaling) return minMove;
+    const sog = pathNumber(station, 'navigation.speedOverGround');
+    if (sog === null) return minMove;
+
+    const underway = (options.underwaySpeed || 6) * KNOTS_TO_MS;
+    const floor = options.minMoveUnderway === undefined ? 100 : options.minMoveUnderway;
+    const fraction = Math.min(1, Math.max(0, sog / underway));
+    return Math.round(minMove + (floor - minMove) * fraction);
+  }
+
+  /**
+   * True when course over ground differs from the course at the last position update
+   * by at least options.courseChange degrees. The first course seen under way becomes
+   * the reference when none was recorded (e.g. the last update was made at anchor).
+   */
+  function courseChanged(station) {
+    const options = station.options;
+    if (!options.courseChange) return false;
+    const cog = pathNumber(station, 'navigation.courseOverGroundTrue');
+    const sog = pathNumber(station, 'navigation.speedOverGround');
+    if (cog === null || sog === null || sog < COURSE_MIN_SPEED) return false;
+    if (station.lastSentCourse === null) {
+      station.lastSentCourse = cog;
+      return false;
+    }
+    if (station.currentDistance < COURSE_MIN_MOVE) return false;
+
+    let diff = Math.abs(cog - station.lastSentCourse) % (2 * Math.PI);
+    if (diff > Math.PI) diff = 2 * Math.PI - diff;
+    return diff * 180 / Math.PI >= options.courseChange;
+  }
+
+  /**
+   * Decides whether the station position should be updated and returns the reason,
+   * or null. In order:
+   *   1. Force GPS Updates — every observation cycle (inCycle only)
+   *   2. First-run establishment — no position has been reported from this state
+   *   3. Anchor watch — no update while swinging inside the anchor radius
+   *   4. Distance — moved beyond the (optionally speed-scaled) threshold
+   *   5. Course change — turned by the configured angle since the last update
+   */
+  function movementTrigger(station, inCycle) {
+    if (inCycle && station.options.forceUpdate) return 'forced';
+    if (!station.hasReportedPosition) return 'first position';
+    if (atAnchor(station)) return null;
+    const threshold = moveThreshold(station);
+    if (station.currentDistance >= threshold) return `moved ${Math.round(station.currentDistance)}m (threshold ${threshold}m)`;
+    if (courseChanged(station)) return 'course change';
+    return null;
+  }
+
+  /**
+   * Checks the Reporting Rules for the current time and vessel position. Returns
+   * { pause, share, noPosition, state }:
+   *   pause      - why nothing may be sent (on the hard, quiet hours, a no-report zone),
+   *                or null
+   *   share      - share option forced outside territorial waters ('private'), or null
+   *   noPosition - true when position updates must not be sent
+   *   state      - short text for the heartbeat and /status, null while no rule applies
+   * Evaluated before every send rather than on a timer, so a vessel crossing into a zone
+   * is caught by the very next position update or observation.
+   */
+  function evaluateRules(station) {
+    const rules = reportingRules;
+    const pos = readPath(station, 'navigation.position');
+    const here = pos && pos.value ? { lat: pos.value.latitude, lon: pos.value.longitude } : null;
+    let pause = null;
+
+    // On the hard: neither position nor speed over ground has updated for onHardHours.
+    // Counted from the plugin start when the tree has nothing newer, so a laid-up boat
+    // whose GPS is switched off entirely is recognised as well.
+    if (rules.onHardHours > 0) {
+      const updated = ['navigation.position', 'navigation.speedOverGround'].map(p => {
+        const node = readPath(station, p);
+        const time = node && node.timestamp ? Date.parse(node.timestamp) : NaN;
+        return Number.isFinite(time) ? time : 0;
+      });
+      if (clock.now() - Math.max(rulesSince, ...updated) >= rules.onHardHours * 3600000) pause = 'on the hard';
+    }
+
+    if (!pause) {
+      const now = new Date(clock.now());
+      const minutes = now.getHours() * 60 + now.getMinutes();
+      const quiet = (rules.quietHours || []).find(w => w && inTimeWindow(minutes, w.start, w.end));
+      if (quiet) pause = `quiet hours until ${quiet.end}`;
+    }
+
+    if (!pause && here) {
+      const zone = (rules.geofences || []).find(z => z && typeof z.latitude === 'number' && typeof z.longitude === 'number' &&
+        cheapDistance({ lat: z.latitude, lon: z.longitude }, here) <= (z.radius || 0));
+      if (zone) pause = `in ${zone.name || 'no-report zone'}`;
+    }
+
+    // Outside territorial waters observations continue; only the position is withheld
+    // or the station is switched to private. Unknown position means no decision.
+    const outside = !pause && territory !== null && here !== null && !pointInPolygon(here, territory);
+    const noPosition = outside && rules.outsideTerritory === 'noPosition';
+    const share = outside && !noPosition ? 'private' : null;
+
+    let state = null;
+    if (pause) state = `Paused: ${pause}`;
+    else if (noPosition) state = 'Outside territory: no position';
+    else if (share) state = 'Outside territory: private';
+    return { pause, share, noPosition, state };
+  }
+
+  /**
+   * Sends a position update as soon as the movement guard trips, instead of waiting
+   * for the next observation cycle. Attempts are spaced by minPutInterval so a
+   * failing link or a fast boat cannot flood the station endpoint.
+   */
+  function updatePositionBetweenCycles(station) {
+    if (station.putInProgress || station.reportInProgress) return;
+    // While offline the next cycle probes the link and sends the position if it is back
+    if (station.networkFailures > 0) return;
+    const rules = evaluateRules(station);
+    if (rules.pause || rules.noPosition) return;
+    if (clock.now() - station.lastPutTime < (station.options.minPutInterval || 60) * 1000) return;
+    const reason = movementTrigger(station, false);
+    if (!reason) return;
+
+    const pos = readPath(station, 'navigation.position');
+    if (!pos || !pos.value) return;
+    app.debug(`${station.label}Position update between observations: ${reason}`);
+    // Not awaited from the delta handler, so an unexpected error is logged here
+    updateStationMetadata(station, pos)
+      .catch(err => app.error(`${station.label}Position update between observations failed: ${err.message}`));
+  }
 
   /**
    * Reports data using separate endpoints as required by API v2.
    * 
-   * A metadata PUT (station position update) is sent when any of three conditions is met:
+   * A metadata PUT (station position update) is sent when movementTrigger finds a reason:
    *   1. options.forceUpdate is enabled — the persistent config toggle that bypasses
    *      the movement guard on every cycle.
    *   2. !hasReportedPosition — the plugin has never sent a successful PUT since state
    *      was initialized. Ensures the station appears at the correct location after
    *      a fresh install, migration from the legacy plugin, or manual state reset.
-   *   3. currentDistance >= minMove — the normal movement guard threshold is exceeded.
+   *   3. The movement guard — the vessel has moved beyond the threshold, or turned
+   *      by the course change angle, and is not swinging at anchor.
    *
    * When a PUT is needed, it is sent before the observation GET so Windy receives
    * weather data at the newly registered position (prevents the station from being
    * marked offline after a location update).
    * PUTs do not count against Windy's observation rate limit (confirmed via testing).
    */
-  async function reportToWindy(options) {
-    const weather = getStationData(options);
-    const pos = app.getSelfPath('navigation.position');
+  async function reportToWindy(station) {
+    const options = station.options;
+    const label = station.label;
+    const weather = getStationData(station);
+    const pos = readPath(station, 'navigation.position');
 
-    // Three conditions trigger a station position update (PUT):
-    // 1. Force GPS Updates config toggle — bypasses movement guard every cycle
-    // 2. First-run establishment — station has never been positioned on Windy from this state
-    // 3. Movement guard threshold — vessel has moved beyond the configured distance
-    const shouldUpdateGPS = options.forceUpdate || !hasReportedPosition || currentDistance >= (options.minMove || 300);
-
-    // GAP CLOSER: If no native gust is available, or if tracked peak is higher, use peakGust
-    if (peakGust > (weather.gust || 0)) {
-      weather.gust = peakGust.toFixed(1);
+    // GAP CLOSER: If no native gust is available, or if tracked peak is higher, use peakGust.
+    // Skipped when the report carries no wind speed (measured or derived) — a gust on its
+    // own would turn an all-stale report into a misleading observation.
+    if (weather.wind !== undefined && station.peakGust > (weather.gust || 0)) {
+      weather.gust = correctValue(station, 'windSpeed', station.peakGust).toFixed(1);
+    }
+    // The other networks also need to know whether the pressure is at sea level
+    if (station.primary) {
+      const seaLevelPressure = Boolean((options.corrections || {}).reducePressure);
+      station.snapshot = { time: clock.now(), weather: { ...weather }, seaLevelPressure };
     }
 
-    // --- STEP 1: METADATA PUT (if position update conditions are met) ---
-    // Must complete before the observation GET so Windy has the correct station
-    // position when the observation arrives. Auth uses Global API Key in headers.
-    if (pos && pos.value && shouldUpdateGPS) {
-      // API v2 Requirement: elev_m must be an integer
-      // Attempt to find altitude in common Signal K paths; default to 0
-      const altitude = app.getSelfPath('navigation.gnss.antennaAltitude') || 
-                       app.getSelfPath('navigation.altitude') || { value: 0 };
-
-      // Convert selection to lowercase as required by API v2.
-      // No default is applied here; if empty, Windy will return a 400 Bad Request error.
-      const rawShare = (options.shareOption || '').toLowerCase();
-
-      const metadataPayload = {
-        name: options.stationName,
-        share_option: rawShare,
-        lat: Number(pos.value.latitude.toFixed(5)),
-        lon: Number(pos.value.longitude.toFixed(5)),
-        elev_m: Math.round(altitude.value), // Round to nearest integer per API error
-        agl_wind: options.agl_wind || 10,    // Height from settings (AGL requirement)
-        agl_temp: options.agl_temp || 2,     // Height from settings (AGL requirement)
-        station_type: options.station_type,
-        operator_text: options.stationName,
-        operator_url: options.operator_url || ''
-      };
-
-      app.debug(`Movement Guard: ${Math.round(currentDistance)}m from baseline position`);
-      app.debug(`Windy Metadata Submission (PUT): ${JSON.stringify(metadataPayload)}`);
+    // REPORTING RULES (see evaluateRules): a pause skips both the position update and
+    // the observation. Sampling carries on, and the peak gust is dropped so the first
+    // report after the pause does not carry a gust from before it.
+    const rules = evaluateRules(station);
+    station.ruleState = rules.state;
+    if (rules.pause) {
+      if (station.rulePause !== rules.pause) app.debug(`${label}Reporting paused: ${rules.pause}`);
+      station.rulePause = rules.pause;
+      station.peakGust = 0;
+      app.setPluginStatus(statusLine(station, 'Next: 0m00s'));
+      return false;
+    }
+    if (station.rulePause) {
+      app.debug(`${label}Reporting resumed (was paused: ${station.rulePause})`);
+      station.rulePause = null;
+    }
 
+    // CONNECTIVITY: While offline, a cheap probe (see windy.probe) checks that Windy is
+    // reachable before data is spent on the position update and observation. If it
+    // fails, neither is sent and the observation is handled as a network failure below.
+    let linkError = null;
+    if (station.networkFailures > 0) {
       try {
-        await axios.put(`https://stations.windy.com/api/v2/pws/${options.stationId}`, metadataPayload, {
-          headers: { 
-            'windy-api-key': options.apiKey,
-            'Content-Type': 'application/json'
-          },
-          timeout: 30000
-        });
-        // Reset movement guard baseline only after a successful map update
-        lastSentPos = { lat: pos.value.latitude, lon: pos.value.longitude };
-        kx = Math.cos(pos.value.latitude * Math.PI / 180);
-        currentDistance = 0;
-        // Mark that the station position has been established on Windy.
-        // Persisted to state.json so subsequent restarts do not re-trigger this path.
-        hasReportedPosition = true;
-        app.debug('Station metadata updated successfully');
+        await windy.probe(options);
       } catch (err) {
-        // Distinguish transient network errors from API errors using err.response.
-        // Network-level failures (DNS, TLS, timeout, socket reset) have no err.response
-        // and are expected in marine connectivity environments (Starlink handovers,
-        // cellular gaps, marina WiFi). These are logged but do not trigger the red
-        // dashboard indicator — the plugin recovers on the next cycle.
-        // API-level failures (4xx, 5xx) have err.response and indicate a genuine
-        // problem requiring attention (wrong credentials, malformed payload, etc.).
-        if (err.response) {
-          const detail = JSON.stringify(err.response.data);
-          const status = err.response.status;
-          app.error(`Windy Metadata Error (${status}): ${detail}`);
-
-          // CREDENTIAL-AWARE MESSAGING (v1.5.0):
-          // Windy returns HTTP 403 ("Forbidden resource") on the metadata PUT when the
-          // Global API Key is rejected. Confirmed via live testing — but the SAME 403 is
-          // returned whether the API Key is wrong OR the Station ID does not exist. The
-          // API does not distinguish the two, so the message names both candidates rather
-          // than guessing. Other statuses keep the generic message.
-          // Wording change only — a 403 already triggered the red indicator before this.
-          if (status === 403) {
-            app.setPluginError('Windy rejected the API Key or Station ID (403) — verify both in the plugin configuration');
-          } else {
-            app.setPluginError(`Metadata update failed (${status})`);
-          }
-        } else {
-          app.error(`Windy Metadata Error (network): ${err.message}`);
-        }
-        // Continue to observation — weather data is still valuable even if location update failed
+        linkError = err;
+        app.debug(`${label}Windy still unreachable (probe: ${err.message})`);
+      }
+    }
+
+    // STATION SYNC (see syncStation): on the first cycle and then every syncInterval
+    // minutes. Observations wait while the station is known not to exist. A position
+    // sent by the sync stands in for this cycle's position update.
+    let positionUpdated = null; // result of the PUT, for the history; null when none was sent
+    const syncInterval = options.syncInterval === undefined ? DEFAULT_SYNC_INTERVAL : options.syncInterval;
+    if (syncInterval > 0 && !linkError && !station.putInProgress && clock.now() >= station.nextSyncTime) {
+      const sync = await syncStation(station, pos, rules);
+      if (!sync.send) {
+        // Kept as the status detail until a report goes through, like a stale status
+        station.lastReportString = 'Station not found on Windy';
+        app.setPluginStatus(statusLine(station, 'Next: 0m00s'));
+        return false;
       }
+      linkError = sync.linkError;
+      if (station.lastSync.changes.length > 0 && station.lastMetadata.payload.lat !== undefined) positionUpdated = station.lastSync.ok;
+    }
+
+    // Force GPS Updates, first-run establishment or the movement guard (see movementTrigger),
+    // or a change of share option (e.g. forced private outside territorial waters).
+    // Skipped while a PUT sent between observations is still in flight, while offline,
+    // while a reporting rule withholds the position, or when the sync already sent it.
+    const share = (rules.share || options.shareOption || '').toLowerCase();
+    const shareChanged = station.lastSentShare !== null && station.lastSentShare !== share;
+    const gpsReason = station.putInProgress || linkError || rules.noPosition || positionUpdated !== null ? null
+      : (shareChanged ? `share option now ${share}` : movementTrigger(station, true));
+    const shouldUpdateGPS = gpsReason !== null;
+
+    // --- STEP 1: METADATA PUT (if position update conditions are met) ---
+    // Must complete before the observation GET so Windy has the correct station
+    // position when the observation arrives.
+    if (pos && pos.value && shouldUpdateGPS) {
+      // Continue to observation regardless — weather data is still valuable even if
+      // the location update failed
+      app.debug(`${label}Position update: ${gpsReason}`);
+      positionUpdated = await updateStationMetadata(station, pos);
     }
 
     // --- STEP 2: OBSERVATION GET ---
@@ -434,26 +1939,33 @@ module.exports = function (app) {
     // are accepted by the Windy v2 API; the header form is the more defensive choice.
     // Rate-limited to 1 per 5 minutes by Windy.
     if (Object.keys(weather).length > 0) {
-      // Only non-secret parameters go in the query string. The station password is sent
-      // in the Authorization header below, not here.
-      const weatherParams = new URLSearchParams({
-        id: options.stationId,
-        ts: Math.floor(Date.now() / 1000),
-        ...weather
-      }).toString();
+      // The timestamp is captured once so that, if this submission has to be queued,
+      // the replay carries the time the observation was actually made.
+      const ts = Math.floor(clock.now() / 1000);
 
-      app.debug(`Windy Submission (GET): ${JSON.stringify(weather)}`);
+      app.debug(`${label}Windy Submission (GET): ${JSON.stringify(weather)}`);
 
+      let accepted = false;
       try {
-        await axios.get(`https://stations.windy.com/api/v2/observation/update?${weatherParams}`, {
-          headers: { 'Authorization': `Bearer ${options.stationPassword}` },
-          timeout: 30000
-        });
-        const time = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', hour12: false });
+        if (linkError) throw linkError;
+        const response = await windy.sendObservation(options, weather, ts);
+        station.lastObservation = { time: new Date(clock.now()).toISOString(), ts, payload: weather, ok: true, status: response.status };
+        if (station.networkFailures > 0) {
+          app.debug(`${label}Windy reachable again after ${station.networkFailures} failed attempt(s); resuming the normal interval`);
+        }
+        station.networkFailures = 0;
+        recordHistory(station, pos, positionUpdated, 'sent');
+        station.lastObservationTime = clock.now();
+        station.observationOnline = true;
+        station.lastError = null;
+        clearAlert(station, 'observation');
+        const time = new Date(clock.now()).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', hour12: false });
         
         // Compact dashboard status: no units, ordered for truncation safety.
         // Wind values converted from m/s to knots for display only.
         // Pressure converted from Pa to kPa (1 decimal) for display only.
+        // Optional fields (Td, UV, SR, R) follow the core readings, so on a narrow
+        // dashboard they are truncated before anything else except the timestamp.
         const displayMap = [];
         if (weather.wind) displayMap.push(`W:${(weather.wind * 1.94384).toFixed(1)}`);
         if (weather.gust) displayMap.push(`G:${(weather.gust * 1.94384).toFixed(1)}`);
@@ -461,158 +1973,1343 @@ module.exports = function (app) {
         if (weather.temp) displayMap.push(`T:${weather.temp}`);
         if (weather.pressure) displayMap.push(`P:${(weather.pressure / 1000).toFixed(1)}`);
         if (weather.rh !== undefined) displayMap.push(`H:${weather.rh}`);
+        if (weather.dewpoint !== undefined) displayMap.push(`Td:${weather.dewpoint}`);
+        if (weather.uv !== undefined) displayMap.push(`UV:${weather.uv}`);
+        if (weather.solarradiation !== undefined) displayMap.push(`SR:${weather.solarradiation}`);
+        if (weather.precip !== undefined) displayMap.push(`R:${weather.precip}`);
+        if (station.staleFields.length > 0) displayMap.push(staleStatus(station));
+        const failover = failoverStatus(station);
+        if (failover) displayMap.push(failover);
+        const rejected = Object.values(station.qcCounts).reduce((sum, n) => sum + n, 0);
+        if (rejected > 0) displayMap.push(`QC:${rejected}`);
+        station.qcCounts = {};
 
         // Format: "W:23.9 G:29.7 D:314 T:9.0 P:100.8 H:65 | 12:33"
         // Sensor data and timestamp stored for heartbeat display between intervals.
         // Timestamp last — degrades gracefully if dashboard truncates.
         const sensorFlags = displayMap.join(' ');
-        lastReportString = `${sensorFlags} | ${time}`;
-        app.setPluginStatus(`Next: 0m00s | \u0394${Math.round(currentDistance)}m | ${lastReportString}`);
+        station.lastReportString = `${sensorFlags} | ${time}`;
+        app.setPluginStatus(statusLine(station, 'Next: 0m00s'));
 
         // Reset peak gust tracker after successful report
-        peakGust = 0;
+        station.peakGust = 0;
+        accepted = true;
       } catch (err) {
-        // --- RATE LIMIT HANDLING ---
-        // Windy returns HTTP 429 with {"retry_after":"<ISO-8601 timestamp>"} when the
-        // observation rate limit (1 per 5 minutes per station) is exceeded. This is
-        // expected flow — not an error — especially on first cycle after restart when
-        // the plugin's timer may not be aligned with Windy's rate limit window.
-        // Parse the retry_after timestamp and reschedule precisely instead of waiting
-        // the full interval. The current observation is discarded (not queued).
-        if (err.response && err.response.status === 429) {
-          let retryDelay = null;
-          try {
-            const retryAfter = err.response.data && err.response.data.retry_after;
-            if (retryAfter) {
-              retryDelay = new Date(retryAfter).getTime() - Date.now();
-              // Sanity check: delay should be positive and no more than 10 minutes
-              if (retryDelay <= 0 || retryDelay > 600000) retryDelay = null;
-            }
-          } catch (parseErr) {
-            app.debug(`Could not parse retry_after: ${parseErr.message}`);
-          }
+        station.lastObservation = { time: new Date(clock.now()).toISOString(), ts, payload: weather, ...failureResult(err) };
+
+        const failure = windy.classifyError(err, 'observation', clock.now());
+        // Any HTTP response, even an error, shows the link is up
+        if (failure.kind !== 'network') station.networkFailures = 0;
 
-          if (retryDelay) {
-            app.debug(`Rate limited by Windy. Retry after ${Math.ceil(retryDelay / 1000)}s (from retry_after timestamp)`);
+        // --- RATE LIMIT HANDLING ---
+        // A 429 is expected flow — not an error — especially on first cycle after restart
+        // when the plugin's timer may not be aligned with Windy's rate limit window.
+        // Reschedule precisely at the retry_after time instead of waiting the full
+        // interval. The current observation is discarded (not queued) — the
+        // rescheduled cycle will read fresh sensor data anyway.
+        if (failure.kind === 'rateLimit') {
+          recordHistory(station, pos, positionUpdated, 'rate limited');
+          if (failure.retryMs) {
+            app.debug(`${label}Rate limited by Windy. Retry after ${Math.ceil(failure.retryMs / 1000)}s (from retry_after timestamp)`);
             // Reschedule at the exact retry_after time instead of waiting the full interval.
             // Returns true so the caller knows not to call scheduleNext again.
-            scheduleNext(options, retryDelay);
+            scheduleNext(station, failure.retryMs);
             return true;
-          } else {
-            // 429 received but could not parse retry_after — fall back to normal interval
-            app.debug('Rate limited by Windy (429). Could not parse retry_after, using normal interval.');
           }
+          // 429 received but could not parse retry_after — fall back to normal interval
+          app.debug(`${label}Rate limited by Windy (429). Could not parse retry_after, using normal interval.`);
           // Do not call setPluginError for 429 — this is expected flow, not an error condition
           return false;
         }
 
-        // --- ERROR CLASSIFICATION ---
-        // Errors are split into two categories based on the presence of err.response:
-        //
-        // Network-level (no err.response): DNS failures (EAI_AGAIN, ENOTFOUND),
-        // TLS handshake interruptions, connection timeouts (ETIMEDOUT), socket resets
-        // (ECONNRESET), unreachable hosts (ENETUNREACH, EHOSTUNREACH), and axios
-        // timeouts. These are expected in marine connectivity environments and
-        // self-correct on the next cycle. Logged at error level for server log
-        // visibility but do not trigger setPluginError — the dashboard stays green.
+        // --- ERROR HANDLING ---
+        // Network-level failures (see windy.classifyError) are expected in marine
+        // connectivity environments and self-correct on the next cycle. Logged at error
+        // level for server log visibility but do not trigger setPluginError — the
+        // dashboard stays green.
         //
-        // API-level (has err.response): HTTP 4xx (other than 429) and 5xx responses
-        // from Windy indicating a genuine problem (bad credentials, malformed request,
-        // server error). These trigger both app.error and setPluginError for the red
-        // dashboard indicator, as they typically require user attention.
-        if (err.response) {
-          const msg = `Status ${err.response.status}: ${JSON.stringify(err.response.data)}`;
-          app.error(`Windy Observation Error: ${msg}`);
-
-          // CREDENTIAL-AWARE MESSAGING (v1.5.0):
-          // Windy returns HTTP 400 with a body like {"message":"Provided password is
-          // invalid",...} when the Station Password (Bearer token) is rejected. Confirmed
-          // via live testing — a wrong password produces a 400, NOT a 401/403, and the
-          // same response appears whether the password or the station ID is wrong (the
-          // API reports both as a password problem). Detect this case and surface a
-          // specific dashboard message naming the Station Password, so the user knows
-          // which credential to check rather than seeing a generic failure.
-          //
-          // Detection is a heuristic: a 400 whose body mentions "password" (case-
-          // insensitive). This survives minor rewording by Windy and degrades gracefully
-          // to the generic message below if they change the wording substantially.
-          // This changes only the WORDING — a 400 already triggered the red indicator
-          // before this change, so error routing is unchanged.
-          const body = err.response.data;
-          const bodyText = typeof body === 'string' ? body : JSON.stringify(body || '');
-          if (err.response.status === 400 && /password/i.test(bodyText)) {
-            app.setPluginError('Station Password rejected by Windy — verify the Station Password in the plugin configuration');
+        // API-level failures (HTTP 4xx other than 429, and 5xx) indicate a genuine
+        // problem (bad credentials, malformed request, server error). These trigger both
+        // app.error and setPluginError for the red dashboard indicator, as they typically
+        // require user attention. Rejected credentials get a message naming the
+        // credential to check (v1.5.0).
+        if (failure.kind !== 'network') {
+          app.error(`${label}Windy Observation Error: Status ${failure.status}: ${failure.detail}`);
+          app.setPluginError(`${label}${failure.message}`);
+          station.lastError = failure.message;
+          raiseAlert(station, 'observation', failure.message);
+          recordHistory(station, pos, positionUpdated, 'failed');
+        } else {
+          // Only the first failure of an outage is logged as an error, so a link that is
+          // down for hours does not fill the server log; scheduleNext then backs off.
+          station.networkFailures++;
+          if (station.networkFailures === 1) {
+            app.error(`${label}Windy Observation Error (network): ${failure.detail}`);
           } else {
-            app.setPluginError(`Observation failed: ${msg}`);
+            app.debug(`${label}Windy Observation Error (network, attempt ${station.networkFailures}): ${failure.detail}`);
           }
-        } else {
-          app.error(`Windy Observation Error (network): ${err.message}`);
+          station.lastError = `Network error: ${failure.detail}`;
+          // OFFLINE QUEUE: Keep the observation for replay once the link is back.
+          // The queued entry already carries this interval's gust, so the peak tracker
+          // is reset to avoid reporting the same gust again in the next cycle.
+          station.observationOnline = false;
+          const queued = enqueueObservation(station, weather, ts);
+          if (queued) station.peakGust = 0;
+          recordHistory(station, pos, positionUpdated, queued ? 'queued' : 'failed');
         }
       }
+
+      // Not awaited: the cycle goes on while the forecast is fetched, and a failing
+      // comparison never counts against the observation Windy already accepted
+      if (accepted) {
+        verifyForecast(station, weather, pos, ts)
+          .catch(err => app.error(`${label}Forecast verification failed: ${err.message}`));
+      }
+    } else if (linkError) {
+      // Nothing to send, but the probe shows the link is still down: keep backing off
+      station.networkFailures++;
+    } else if (station.staleFields.length > 0) {
+      // Every available field is stale: skip the observation rather than send an empty one
+      // The stale flags replace the last report in the heartbeat until fresh data returns.
+      app.debug(`${label}Observation skipped, all sensor data stale: ${station.staleFields.join(', ')}`);
+      station.lastReportString = staleStatus(station);
+      app.setPluginStatus(statusLine(station, 'Next: 0m00s'));
     } else {
-      app.setPluginStatus(`Next: 0m00s | \u0394${Math.round(currentDistance)}m | Waiting for sensor data`);
+      app.setPluginStatus(statusLine(station, 'Next: 0m00s', 'Waiting for sensor data'));
     }
 
     return false;
   }
 
+  /**
+   * Adds a rain gauge reading to the rolling 60-minute accumulator.
+   *
+   * Two gauge styles appear on Signal K:
+   *   cumulative - a counter in metres. Rain is the increase since the last reading.
+   *                A decrease means the counter was reset or rolled over, so the new
+   *                reading itself is the rain since it restarted from zero.
+   *   rate       - a rain rate in m/s, integrated over the time since the last reading.
+   *
+   * After a restart the persisted last reading is the baseline. If it is older than the
+   * 60-minute window (or the rate gap limit), the difference is discarded instead of
+   * being counted as fresh rain.
+   */
+  function recordPrecip(station, value) {
+    const precip = station.precip;
+    const now = clock.now();
+    const gap = now - precip.lastTime;
+    let mm = 0;
+
+    if ((station.options.pathMap.precipType || 'cumulative') === 'rate') {
+      if (precip.lastValue !== null && gap <= PRECIP_RATE_MAX_GAP_MS) {
+        mm = Math.max(0, precip.lastValue) * (gap / 1000) * 1000;
+      }
+    } else if (precip.lastValue !== null && gap <= PRECIP_WINDOW_MS) {
+      const delta = value - precip.lastValue;
+      mm = (delta < 0 ? value : delta) * 1000;
+    }
+
+    if (mm > 0) precip.events.push({ t: now, mm });
+    precip.lastValue = value;
+    precip.lastTime = now;
+    precip.events = precip.events.filter(e => e.t > now - PRECIP_WINDOW_MS);
+  }
+
+  /**
+   * Rain in mm over the last 60 minutes, or null when the gauge has not reported
+   * within that window (no gauge, or one that has gone silent).
+   */
+  function precipLastHour(station) {
+    const precip = station.precip;
+    const cutoff = clock.now() - PRECIP_WINDOW_MS;
+    if (precip.lastValue === null || precip.lastTime <= cutoff) return null;
+    return precip.events.filter(e => e.t > cutoff).reduce((sum, e) => sum + e.mm, 0);
+  }
+
+  /**
+   * Derives ground-referenced true wind from apparent wind and boat motion.
+   *
+   * The apparent wind is the air's motion relative to the boat. Rotating it by the
+   * heading puts it in the earth frame, and adding the boat's velocity over ground
+   * gives the air's motion relative to the ground — the same reference as
+   * environment.wind.speedOverGround / directionTrue.
+   *
+   * Heading prefers navigation.headingTrue and falls back to headingMagnetic plus
+   * magneticVariation. Course over ground falls back to heading when absent (no
+   * leeway or current correction). The boat motion is read from the station's
+   * context. Returns { speed (m/s), direction (rad, the direction the wind blows
+   * from, 0..2π) } or null when inputs are missing.
+   */
+  function deriveTrueWind(station, aws, awa) {
+    const value = (p) => pathNumber(station, p);
+    if (typeof aws !== 'number' || typeof awa !== 'number') return null;
+
+    let heading = value('navigation.headingTrue');
+    if (heading === null) {
+      const magnetic = value('navigation.headingMagnetic');
+      const variation = value('navigation.magneticVariation');
+      if (magnetic !== null && variation !== null) heading = magnetic + variation;
+    }
+    const sog = value('navigation.speedOverGround');
+    if (heading === null || sog === null) return null;
+    const cog = value('navigation.courseOverGroundTrue');
+    const course = cog === null ? heading : cog;
+
+    // Apparent wind comes FROM heading + awa, so the air moves towards the opposite
+    // bearing. Components are east (u) and north (v) in m/s.
+    const apparentFrom = heading + awa;
+    const u = -aws * Math.sin(apparentFrom) + sog * Math.sin(course);
+    const v = -aws * Math.cos(apparentFrom) + sog * Math.cos(course);
+
+    let direction = Math.atan2(-u, -v);
+    if (direction < 0) direction += 2 * Math.PI;
+    return { speed: Math.sqrt(u * u + v * v), direction };
+  }
+
+  /**
+   * HTTP outcome of a failed request for the status API: the response status and
+   * body for API-level errors, or the network error message (status null).
+   */
+  function failureResult(err) {
+    if (err.response) {
+      return { ok: false, status: err.response.status, error: err.response.data };
+    }
+    return { ok: false, status: null, error: err.message };
+  }
+
+  /**
+   * The station metadata as configured: position (omitted when pos is null), identity
+   * and sensor heights, with the field names of the Windy station record.
+   */
+  function buildMetadata(station, pos) {
+    const options = station.options;
+
+    // API v2 Requirement: elev_m must be an integer
+    // Attempt to find altitude in common Signal K paths; default to 0
+    const altitude = readPath(station, 'navigation.gnss.antennaAltitude') || 
+                     readPath(station, 'navigation.altitude') || { value: 0 };
+
+    // Convert selection to lowercase as required by API v2.
+    // No default is applied here; if empty, Windy will return a 400 Bad Request error.
+    // Outside territorial waters the reporting rules may force the station private.
+    const rawShare = (evaluateRules(station).share || options.shareOption || '').toLowerCase();
+
+    return {
+      name: options.stationName,
+      share_option: rawShare,
+      ...(pos && pos.value ? {
+        lat: Number(pos.value.latitude.toFixed(5)),
+        lon: Number(pos.value.longitude.toFixed(5))
+      } : {}),
+      elev_m: Math.round(altitude.value), // Round to nearest integer per API error
+      // Height from settings (AGL requirement). Normalized wind is referenced to 10 m,
+      // so Windy must not apply its own height correction on top.
+      agl_wind: (options.corrections || {}).normalizeWind ? 10 : (options.agl_wind || 10),
+      agl_temp: options.agl_temp || 2,     // Height from settings (AGL requirement)
+      station_type: options.station_type,
+      operator_text: options.stationName,
+      operator_url: options.operator_url || ''
+    };
+  }
+
+  /**
+   * STATION SYNC: reads the station record back from Windy and corrects what has drifted
+   * from this configuration, e.g. after an edit on the Windy website or a changed
+   * setting, without waiting for the boat to move. The record has drifted when
+   *   - an identity field or sensor height it returns differs from the setting (blank
+   *     settings and fields the record does not return are not compared)
+   *   - its position is further from the vessel than the movement threshold (unless a
+   *     reporting rule withholds the position)
+   * and is then corrected with the same full metadata PUT as a position update, without
+   * the position while a rule withholds it. A record position within the threshold is
+   * taken as the movement baseline on a first run, so a fresh install does not need to
+   * send the position again.
+   *
+   * The read also confirms that the station exists. When Windy has no such station (404),
+   * observations are held back (they would be rejected too) and the record is read again
+   * every cycle until it succeeds. A rejected API key (403) raises the alert but does not
+   * hold observations back: they are authenticated with the Station Password, and the
+   * 403 cannot tell a wrong key from a missing station. A network failure works like a
+   * failed probe: nothing more is sent this cycle. Other errors leave the decision to the
+   * observation's own error handling.
+   * Returns { send, linkError }: send is false when the observation must not be sent
+   * because the station does not exist; linkError is the network error, if any.
+   */
+  async function syncStation(station, pos, rules) {
+    const options = station.options;
+    const label = station.label;
+    const interval = options.syncInterval === undefined ? DEFAULT_SYNC_INTERVAL : options.syncInterval;
+    const time = new Date(clock.now()).toISOString();
+    let record;
+    try {
+      record = (await windy.getStation(options)).data || {};
+    } catch (err) {
+      const failure = windy.classifyError(err, 'stationRecord', clock.now());
+      const error = failure.message || failure.detail || 'rate limited';
+      station.lastSync = { time, ok: false, changes: [], error };
+      // Read again at the next cycle
+      station.nextSyncTime = 0;
+      if (failure.kind === 'network' || failure.kind === 'rateLimit') {
+        app.debug(`${label}Station sync: record not read (${error})`);
+        return { send: true, linkError: failure.kind === 'network' ? err : null };
+      }
+      app.error(`${label}Windy Station Sync Error (${failure.status}): ${failure.detail}`);
+      app.setPluginError(`${label}${failure.message}`);
+      station.lastError = failure.message;
+      raiseAlert(station, 'metadata', failure.message);
+      if (failure.kind === 'notFound') station.stationConfirmed = false;
+      return { send: failure.kind !== 'notFound', linkError: null };
+    }
+
+    station.nextSyncTime = clock.now() + interval * 60000;
+    if (station.stationConfirmed !== true) app.debug(`${label}Station ${station.key} confirmed on Windy`);
+    if (station.stationConfirmed === false) clearAlert(station, 'metadata');
+    station.stationConfirmed = true;
+    if (typeof record.share_option === 'string') station.lastSentShare = record.share_option;
+
+    const desired = buildMetadata(station, pos);
+    const changes = Object.keys(desired).filter(field => {
+      if (field === 'lat' || field === 'lon') return false;
+      const value = desired[field];
+      return value !== undefined && value !== null && value !== '' && record[field] !== undefined && record[field] !== value;
+    });
+    changes.forEach(field => {
+      app.debug(`${label}Station sync: ${field} ${JSON.stringify(record[field])} → ${JSON.stringify(desired[field])}`);
+    });
+
+    if (desired.lat !== undefined && !rules.noPosition) {
+      const known = typeof record.lat === 'number' && typeof record.lon === 'number';
+      const here = { lat: pos.value.latitude, lon: pos.value.longitude };
+      const offset = known ? cheapDistance({ lat: record.lat, lon: record.lon }, here) : null;
+      if (!known || offset > moveThreshold(station)) {
+        app.debug(`${label}Station sync: position ${known ? `${record.lat}, ${record.lon}` : 'unset'} → ${desired.lat}, ${desired.lon}` +
+          (known ? ` (${Math.round(offset)}m)` : ''));
+        changes.push('lat', 'lon');
+      } else if (!station.hasReportedPosition) {
+        station.lastSentPos = { lat: record.lat, lon: record.lon };
+        station.kx = Math.cos(record.lat * Math.PI / 180);
+        station.currentDistance = offset;
+        station.hasReportedPosition = true;
+        app.debug(`${label}Station sync: position on Windy is ${Math.round(offset)}m away; using it as the movement baseline`);
+      }
+    }
+
+    if (changes.length > 0) {
+      const ok = await updateStationMetadata(station, rules.noPosition ? null : pos);
+      station.lastSync = { time, ok, changes, ...(ok ? {} : { error: station.lastError }) };
+    } else {
+      station.lastSync = { time, ok: true, changes };
+    }
+    return { send: true, linkError: null };
+  }
+
+  /**
+   * Sends the station metadata PUT (position, identity and sensor heights) and, on
+   * success, resets the movement guard baseline to the reported position. Without a
+   * position (pos null) only the identity and sensor heights are sent.
+   * Auth uses the Global API Key in headers. Returns true on success.
+   */
+  async function updateStationMetadata(station, pos) {
+    const options = station.options;
+    const label = station.label;
+    const metadataPayload = buildMetadata(station, pos);
+    const withPosition = metadataPayload.lat !== undefined;
+
+    app.debug(`${label}Movement Guard: ${Math.round(station.currentDistance)}m from baseline position`);
+    app.debug(`${label}Windy Metadata Submission (PUT): ${JSON.stringify(metadataPayload)}`);
+
+    station.lastPutTime = clock.now();
+    station.putInProgress = true;
+    try {
+      const response = await windy.updateStation(options, metadataPayload);
+      if (withPosition) {
+        // Reset movement guard baseline only after a successful map update
+        station.lastSentPos = { lat: pos.value.latitude, lon: pos.value.longitude };
+        station.kx = Math.cos(pos.value.latitude * Math.PI / 180);
+        station.currentDistance = 0;
+        // Course reference for the course-change trigger; unknown when not under way
+        const sog = pathNumber(station, 'navigation.speedOverGround');
+        const cog = pathNumber(station, 'navigation.courseOverGroundTrue');
+        station.lastSentCourse = sog !== null && sog >= COURSE_MIN_SPEED ? cog : null;
+        // Mark that the station position has been established on Windy.
+        // Persisted to state.json so subsequent restarts do not re-trigger this path.
+        station.hasReportedPosition = true;
+      }
+      if (metadataPayload.share_option !== undefined) station.lastSentShare = metadataPayload.share_option;
+      saveState();
+      app.debug(`${label}Station metadata updated successfully`);
+      clearAlert(station, 'metadata');
+      station.lastMetadata = { time: new Date(clock.now()).toISOString(), payload: metadataPayload, ok: true, status: response.status };
+    } catch (err) {
+      // Distinguish transient network errors from API errors using err.response.
+      // Network-level failures (DNS, TLS, timeout, socket reset) have no err.response
+      // and are expected in marine connectivity environments (Starlink handovers,
+      // cellular gaps, marina WiFi). These are logged but do not trigger the red
+      // dashboard indicator — the plugin recovers on the next cycle.
+      // API-level failures (4xx, 5xx) have err.response and indicate a genuine
+      // problem requiring attention (wrong credentials, malformed payload, etc.).
+      station.lastMetadata = { time: new Date(clock.now()).toISOString(), payload: metadataPayload, ...failureResult(err) };
+      const failure = windy.classifyError(err, 'station', clock.now());
+      if (failure.kind !== 'network') {
+        app.error(`${label}Windy Metadata Error (${failure.status}): ${failure.detail}`);
+        // Rejected credentials name the API Key and Station ID (v1.5.0); see windy.classifyError
+        app.setPluginError(`${label}${failure.message}`);
+        station.lastError = failure.message;
+        raiseAlert(station, 'metadata', failure.message);
+      } else {
+        app.error(`${label}Windy Metadata Error (network): ${failure.detail}`);
+        station.lastError = `Network error: ${failure.detail}`;
+      }
+      return false;
+    } finally {
+      station.putInProgress = false;
+    }
+    return true;
+  }
+
+  // --- SIGNAL K TELEMETRY ---
+
+  /**
+   * Current telemetry of a station as { path: value }:
+   *   <prefix>.movementDistance  - distance from the movement guard baseline (m)
+   *   <prefix>.lastUploadTime    - ISO time of the last observation Windy accepted
+   *   <prefix>.lastHttpStatus    - HTTP status of the last observation (null on network errors)
+   *   <prefix>.lastError         - message of the last failure, null after a success
+   *   <prefix>.queueLength       - observations waiting in the offline queue
+   *   <prefix>.qcRejected        - readings rejected by quality control since start
+   * The primary station also publishes environment.wind.gustPeakInterval, the peak
+   * gust tracked since its last report (m/s). With forecast verification on, each
+   * station adds <prefix>.forecast.difference.<field> (observed minus forecast at the
+   * last comparison) and <prefix>.forecast.bias.<field> (mean over the bias window) for
+   * windSpeed, windGust, pressure and temperature.
+   */
+  function telemetryValues(station) {
+    const prefix = station.telemetryPath;
+    const values = {
+      [`${prefix}.movementDistance`]: Math.round(station.currentDistance),
+      [`${prefix}.lastUploadTime`]: station.lastObservationTime ? new Date(station.lastObservationTime).toISOString() : null,
+      [`${prefix}.lastHttpStatus`]: station.lastObservation ? station.lastObservation.status : null,
+      [`${prefix}.lastError`]: station.lastError,
+      [`${prefix}.queueLength`]: station.observationQueue.length,
+      [`${prefix}.qcRejected`]: Object.values(station.qcTotals).reduce((sum, n) => sum + n, 0)
+    };
+    if (station.primary) values['environment.wind.gustPeakInterval'] = station.peakGust;
+    if (forecastConfig) {
+      const last = station.forecastHistory[station.forecastHistory.length - 1];
+      const bias = forecast.bias(station.forecastHistory);
+      Object.keys(FORECAST_TELEMETRY).forEach(field => {
+        const name = FORECAST_TELEMETRY[field].name;
+        values[`${prefix}.forecast.difference.${name}`] = last && last.delta[field] !== undefined ? last.delta[field] : null;
+        values[`${prefix}.forecast.bias.${name}`] = bias[field] ? bias[field].mean : null;
+      });
+    }
+    return values;
+  }
+
+  // Sends the telemetry values that changed since the last call as one delta
+  function publishTelemetry(station) {
+    const values = telemetryValues(station);
+    const changed = Object.keys(values).filter(p => station.published[p] !== values[p]);
+    if (changed.length === 0) return;
+    changed.forEach(p => { station.published[p] = values[p]; });
+    app.handleMessage(plugin.id, {
+      updates: [{ values: changed.map(p => ({ path: p, value: values[p] })) }]
+    });
+  }
+
+  // Units and descriptions for the numeric telemetry paths
+  function publishTelemetryMeta() {
+    const meta = [{
+      path: 'environment.wind.gustPeakInterval',
+      value: { units: 'm/s', description: 'Highest gust since the last Windy report' }
+    }];
+    stations.forEach(station => {
+      meta.push({
+        path: `${station.telemetryPath}.movementDistance`,
+        value: { units: 'm', description: 'Distance from the position last reported to Windy' }
+      });
+      if (!forecastConfig) return;
+      Object.values(FORECAST_TELEMETRY).forEach(({ name, unit }) => {
+        meta.push({
+          path: `${station.telemetryPath}.forecast.difference.${name}`,
+          value: { units: unit, description: `Observed minus forecast ${name} at the last forecast check` }
+        }, {
+          path: `${station.telemetryPath}.forecast.bias.${name}`,
+          value: { units: unit, description: `Mean observed minus forecast ${name} over the bias window` }
+        });
+      });
+    });
+    app.handleMessage(plugin.id, { updates: [{ meta }] });
+  }
+
+  /**
+   * Raises a Signal K notification (notifications.windy.<key>, nested under
+   * stations.<Station ID> for additional stations) for a failure that needs the
+   * user's attention. Network errors do not raise one; they clear up on their own.
+   */
+  function raiseAlert(station, key, message) {
+    station.alerts[key] = true;
+    sendNotification(station, key, { state: 'alert', method: ['visual'], message: `${station.label}${message}` });
+  }
+
+  // Returns a raised notification to normal after the next successful request
+  function clearAlert(station, key) {
+    if (!station.alerts[key]) return;
+    delete station.alerts[key];
+    sendNotification(station, key, { state: 'normal', method: [], message: `${station.label}Windy reporting normally` });
+  }
+
+  function sendNotification(station, key, value) {
+    const path = `${station.telemetryPath.replace(/^plugins\./, 'notifications.')}.${key}`;
+    app.handleMessage(plugin.id, { updates: [{ values: [{ path, value }] }] });
+  }
+
+  // --- OBSERVATION HISTORY ---
+
+  /**
+   * Appends the observation just attempted (station.lastObservation) to the history,
+   * with the vessel position and the result of any position update sent with it.
+   */
+  function recordHistory(station, pos, positionUpdated, outcome) {
+    if (!history) return;
+    const observation = station.lastObservation;
+    const position = pos && pos.value;
+    history.append({
+      ts: observation.ts,
+      station: station.key,
+      lat: position ? position.latitude : null,
+      lon: position ? position.longitude : null,
+      payload: observation.payload,
+      put: positionUpdated === null ? null : { ok: positionUpdated, status: station.lastMetadata.status },
+      outcome,
+      status: observation.status,
+      ...(observation.ok ? {} : { error: observation.error })
+    });
+  }
+
+  // --- FORECAST VERIFICATION ---
+
+  /**
+   * Compares an observation Windy just accepted with the point forecast for the
+   * station's position at the observation time (see lib/forecast.js), and keeps the
+   * differences for the rolling bias. Started without waiting for it once the
+   * observation has been accepted, so a slow or failing forecast request never delays
+   * or blocks a report. Network failures are logged at debug level; an API error (e.g. a
+   * rejected key) is reported once until it changes.
+   */
+  async function verifyForecast(station, weather, pos, ts) {
+    if (!forecastConfig || !pos || !pos.value) return;
+    const label = station.label;
+    let data;
+    try {
+      data = (await forecast.fetchForecast(forecastConfig, pos.value)).data;
+    } catch (err) {
+      if (!err.response) {
+        app.debug(`${label}Point forecast not fetched: ${err.message}`);
+        return;
+      }
+      const body = err.response.data;
+      const detail = body && typeof body === 'object' ? body.message || JSON.stringify(body) : body;
+      const message = `Point Forecast API error (${err.response.status}): ${detail}`;
+      if (station.forecastError !== message) {
+        app.error(`${label}${message}`);
+        app.setPluginError(`${label}${message}`);
+      }
+      station.forecastError = message;
+      return;
+    }
+    station.forecastError = null;
+
+    const predicted = forecast.forecastAt(data, ts * 1000);
+    const delta = predicted ? forecast.compare(weather, predicted) : {};
+    if (Object.keys(delta).length === 0) {
+      app.debug(`${label}Point forecast has nothing to compare at ${new Date(ts * 1000).toISOString()}`);
+      return;
+    }
+    station.forecastHistory.push({
+      ts,
+      lat: pos.value.latitude,
+      lon: pos.value.longitude,
+      model: forecastConfig.model || forecast.DEFAULT_MODEL,
+      forecast: predicted,
+      delta
+    });
+    pruneForecastHistory(station);
+    app.debug(`${label}Forecast check (observed - forecast): ` +
+      Object.keys(delta).map(field => `${field} ${delta[field] > 0 ? '+' : ''}${delta[field]}`).join(', '));
+  }
+
+  // Drops comparisons older than the bias window
+  function pruneForecastHistory(station) {
+    const cutoff = (clock.now() - forecastConfig.windowHours * 3600000) / 1000;
+    station.forecastHistory = station.forecastHistory.filter(entry => entry.ts >= cutoff);
+  }
+
+  // --- STATE CHECKPOINTS ---
+
+  /**
+   * Writes the movement and scheduling state of every station to state.json (see
+   * lib/state.js for the format). Called after each reporting cycle and position
+   * update, on the checkpoint timer and in stop, so a power cut loses at most a minute.
+   * Private file in the plugin data directory; does not touch config/settings.json.
+   */
+  function saveState() {
+    if (stations.length === 0) return;
+    const sections = { ...otherStationState };
+    stations.forEach(station => {
+      sections[station.key] = {
+        lastSentPos: station.lastSentPos,
+        currentDistance: station.currentDistance,
+        nextRunTime: station.nextRunTime,
+        hasReportedPosition: station.hasReportedPosition,
+        lastSentCourse: station.lastSentCourse,
+        lastSentShare: station.lastSentShare,
+        precip: station.precip,
+        forecastHistory: station.forecastHistory
+      };
+    });
+    const text = JSON.stringify({ version: STATE_VERSION, stations: sections });
+    if (text === lastStateText) return;
+
+    try {
+      const dataDir = app.getDataDirPath();
+      if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+      }
+      writeFileAtomic(getStateFilePath(), text);
+      lastStateText = text;
+    } catch (e) { app.error('Failed to save state file:', e.message); }
+  }
+
+  /**
+   * Moves an unreadable data file aside (see preserveCorruptFile) and logs where it
+   * went, so a corrupt file is neither silently discarded nor retried on every start.
+   */
+  function setAsideUnreadable(file, err, consequence) {
+    const name = path.basename(file);
+    try {
+      const backup = preserveCorruptFile(file, clock.now());
+      app.error(`${name} could not be read (${err.message}). ${consequence}; the old file was kept as ${path.basename(backup)}`);
+    } catch (e) {
+      app.error(`${name} could not be read (${err.message}) or set aside (${e.message}). ${consequence}`);
+    }
+  }
+
+  // --- OFFLINE QUEUE ---
+
+  // Dashboard fragment for the heartbeat, e.g. " | Q:3". Empty when nothing is queued.
+  function queueStatus(station) {
+    return station.observationQueue.length > 0 ? ` | Q:${station.observationQueue.length}` : '';
+  }
+
+  /**
+   * Drops entries older than queueMaxAge and trims the queue to queueMaxSize,
+   * discarding the oldest observations first.
+   */
+  function pruneQueue(station) {
+    const options = station.options;
+    const maxAgeSec = (options.queueMaxAge || 24) * 3600;
+    const cutoff = Math.floor(clock.now() / 1000) - maxAgeSec;
+    const before = station.observationQueue.length;
+    station.observationQueue = station.observationQueue.filter(entry => entry && entry.ts >= cutoff);
+
+    const maxSize = options.queueMaxSize === undefined ? 288 : options.queueMaxSize;
+    if (station.observationQueue.length > maxSize) {
+      station.observationQueue = station.observationQueue.slice(station.observationQueue.length - maxSize);
+    }
+
+    const dropped = before - station.observationQueue.length;
+    if (dropped > 0) app.debug(`${station.label}Offline queue: discarded ${dropped} expired or excess observation(s)`);
+  }
+
+  // Writes every station's queue to queue.json as { [stationId]: [...] }
+  function saveQueue() {
+    try {
+      const dataDir = app.getDataDirPath();
+      if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+      }
+      const queues = {};
+      stations.forEach(station => { queues[station.key] = station.observationQueue; });
+      writeFileAtomic(getQueueFilePath(), JSON.stringify(queues));
+    } catch (e) { app.error('Failed to save observation queue:', e.message); }
+  }
+
+  /**
+   * Buffers an observation that could not be delivered. Returns false when the
+   * queue is disabled (queueMaxSize of 0) and the observation was dropped.
+   */
+  function enqueueObservation(station, weather, ts) {
+    if (station.options.queueMaxSize === 0) return false;
+    station.observationQueue.push({ ts, weather });
+    pruneQueue(station);
+    saveQueue();
+    app.debug(`${station.label}Offline queue: buffered observation (${station.observationQueue.length} queued)`);
+    return true;
+  }
+
+  /**
+   * Arranges the next replay of a queued observation in a spare rate-limit window.
+   *
+   * Replays share the station's observation rate limit with the live cycle, so each
+   * replay is placed at least RATE_LIMIT_MS after the last accepted observation, and
+   * only when that still leaves a full rate-limit window before the next live report.
+   * Returns true when an observation is waiting but no such window is left; scheduleNext
+   * then lets a reporting cycle send it instead.
+   */
+  function scheduleReplay(station, delayMs = null) {
+    if (station.replayTimer) clock.clearTimeout(station.replayTimer);
+    station.replayTimer = null;
+    if (!station.observationOnline || station.observationQueue.length === 0) return false;
+
+    const replayAt = delayMs !== null ? clock.now() + delayMs : Math.max(clock.now(), station.lastObservationTime + RATE_LIMIT_MS);
+    if (station.nextRunTime - replayAt < RATE_LIMIT_MS) return true;
+
+    station.replayTimer = clock.setTimeout(() => {
+      station.replayTimer = null;
+      replayQueuedObservation(station);
+    }, replayAt - clock.now());
+    return false;
+  }
+
+  /**
+   * Sends the oldest queued observation with its original timestamp.
+   * Success removes it and schedules the next one. A network failure leaves the
+   * queue untouched until a live report succeeds again. A 429 reschedules to the
+   * retry_after time. Any other API error drops the entry — Windy has rejected that
+   * exact payload and retrying it would fail the same way.
+   * When the replay takes the place of a reporting cycle (`inCycle`), runCycle
+   * schedules what comes next instead. Returns false when nothing was sent because a
+   * reporting rule pauses reporting or no observation is left after pruning.
+   */
+  async function replayQueuedObservation(station, inCycle = false) {
+    const label = station.label;
+    // Paused by a reporting rule: the queue waits, and the first live report after the
+    // pause restarts the replay
+    if (evaluateRules(station).pause) return false;
+    pruneQueue(station);
+    const entry = station.observationQueue[0];
+    if (!entry) {
+      saveQueue();
+      return false;
+    }
+
+    app.debug(`${label}Windy Replay (GET, ts=${entry.ts}): ${JSON.stringify(entry.weather)}`);
+
+    try {
+      const response = await windy.sendObservation(station.options, entry.weather, entry.ts);
+      station.lastObservationTime = clock.now();
+      // The position was recorded with the original 'queued' entry
+      if (history) {
+        history.append({ ts: entry.ts, station: station.key, lat: null, lon: null, payload: entry.weather, put: null, outcome: 'replayed', status: response.status });
+      }
+      station.observationQueue.shift();
+      saveQueue();
+      app.debug(`${label}Offline queue: replayed observation from ${new Date(entry.ts * 1000).toISOString()} (${station.observationQueue.length} left)`);
+      if (!inCycle) scheduleReplay(station);
+    } catch (err) {
+      const failure = windy.classifyError(err, 'observation', clock.now());
+      if (failure.kind === 'rateLimit') {
+        app.debug(`${label}Offline queue: replay rate limited by Windy (429)`);
+        if (failure.retryMs && !inCycle) scheduleReplay(station, failure.retryMs);
+      } else if (failure.kind !== 'network') {
+        app.error(`${label}Windy Replay Error: Status ${failure.status}: ${failure.detail} — discarding queued observation`);
+        station.observationQueue.shift();
+        saveQueue();
+        if (!inCycle) scheduleReplay(station);
+      } else {
+        app.debug(`${label}Offline queue: replay failed (network): ${failure.detail}`);
+        station.observationOnline = false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Dew point in °C from air temperature (°C) and relative humidity (%), using the
+   * Magnus formula with the Sonntag (1990) constants. Accurate to about ±0.35 °C
+   * between -45 °C and 60 °C, which covers anything a boat will see.
+   */
+  function magnusDewPoint(tempC, rh) {
+    const b = 17.62;
+    const c = 243.12;
+    const gamma = Math.log(rh / 100) + (b * tempC) / (c + tempC);
+    return (c * gamma) / (b - gamma);
+  }
+
+  /**
+   * The Preferred Sources setting as { <field key>: [$source, ...] } for each field with
+   * a list. Entries are comma-separated, most preferred first.
+   */
+  function sourcePriority(options) {
+    const configured = (options.pathMap && options.pathMap.sources) || {};
+    const lists = {};
+    Object.keys(DEFAULT_PATHS).forEach(key => {
+      const list = String(configured[key] || '').split(',').map(s => s.trim()).filter(Boolean);
+      if (list.length > 0) lists[key] = list;
+    });
+    return lists;
+  }
+
+  /**
+   * The current reading of a field as { value, timestamp, source }, or null when its
+   * path has no value.
+   *
+   * Without Preferred Sources this is the path's value as the tree holds it, i.e. from
+   * whichever $source updated it last. With a list, it is the value of the first listed
+   * source that has updated within the Source Failover time, read from the path's
+   * per-source `values`; when that source goes quiet the next one takes over, and the
+   * preferred one is used again as soon as it resumes. When no listed source is current
+   * the reading has source null and is treated as stale.
+   */
+  function readField(station, key) {
+    const options = station.options;
+    const node = readPath(station, options.pathMap[key] || DEFAULT_PATHS[key]);
+    if (!node) return null;
+    const preferred = station.sourcePriority[key];
+    if (!preferred) return { value: siValue(station, key, node.value), timestamp: node.timestamp, source: node.$source || null };
+
+    // A path seen from a single source may have no `values` map
+    const readings = node.values || (node.$source ? { [node.$source]: node } : {});
+    const timeoutMs = (options.pathMap.sourceTimeout || DEFAULT_SOURCE_TIMEOUT) * 1000;
+    const source = preferred.find(s => {
+      const reading = readings[s];
+      const updated = reading && Date.parse(reading.timestamp);
+      return reading && reading.value !== null && reading.value !== undefined &&
+        Number.isFinite(updated) && clock.now() - updated <= timeoutMs;
+    }) || null;
+
+    if (source !== (station.activeSources[key] || null)) {
+      app.debug(`${station.label}${key} source: ${source ? `now ${source}` : 'none of the preferred sources is current'}` +
+        (station.activeSources[key] ? ` (was ${station.activeSources[key]})` : ''));
+      station.activeSources[key] = source;
+    }
+    if (!source) return { value: null, timestamp: null, source: null };
+    return { value: siValue(station, key, readings[source].value), timestamp: readings[source].timestamp, source };
+  }
+
+  /**
+   * Converts a numeric reading of a field (or 'precip') from the unit its path declares
+   * in meta.units to the Signal K base unit the rest of the plugin works in, so a path
+   * override may point at a plugin publishing knots, °C or hPa. A path without
+   * meta.units is in the base unit, as the Signal K specification requires.
+   * A declared unit the plugin cannot convert for the field is refused: the reading is
+   * dropped (null) and the problem is reported once, rather than sending a guess.
+   */
+  function siValue(station, key, value) {
+    if (typeof value !== 'number') return value;
+    const pm = station.options.pathMap;
+    const path = key === 'precip' ? pm.precip : (pm[key] || DEFAULT_PATHS[key]);
+    const node = readPath(station, path);
+    const declared = node && node.meta ? node.meta.units : undefined;
+    if (declared === undefined || declared === null) return value;
+
+    const quantity = key === 'precip' ? (pm.precipType === 'rate' ? 'rate' : 'length') : FIELD_QUANTITIES[key];
+    const convert = units.converter(quantity, declared);
+    if (convert) {
+      if (station.unitErrors[key] !== undefined) {
+        app.debug(`${station.label}${path} now declares "${declared}"; ${key} is reported again`);
+        delete station.unitErrors[key];
+      }
+      return convert(value);
+    }
+    if (station.unitErrors[key] !== declared) {
+      station.unitErrors[key] = declared;
+      const message = `${path} is in unknown units "${declared}" (expected ${units.baseUnit(quantity)} or a convertible unit); ${key} is not reported`;
+      app.error(`${station.label}${message}`);
+      app.setPluginError(`${station.label}${message}`);
+    }
+    return null;
+  }
+
+  /**
+   * Checks the field's Signal K timestamp against its maximum age: the per-field
+   * pathMap.maxAge override if set, otherwise the global maxDataAge (minutes).
+   * A sensor that stops updating leaves its last value in the Signal K tree, so
+   * without this check a dead thermometer would keep being reported as current.
+   * Values without a timestamp cannot be judged and are treated as fresh.
+   */
+  function isStale(options, key, timestamp) {
+    const overrides = (options.pathMap && options.pathMap.maxAge) || {};
+    const override = overrides[key];
+    const maxAgeMin = typeof override === 'number' ? override
+      : (options.maxDataAge === undefined ? 10 : options.maxDataAge);
+    if (!maxAgeMin) return false;
+
+    if (!timestamp) return false;
+    const updated = Date.parse(timestamp);
+    return Number.isFinite(updated) && clock.now() - updated > maxAgeMin * 60000;
+  }
+
+  // Heartbeat flags for omitted fields, e.g. "T:stale H:stale"
+  function staleStatus(station) {
+    return station.staleFields.map(key => `${FIELD_LABELS[key]}:stale`).join(' ');
+  }
+
+  // Heartbeat flags for fields read from a fallback Preferred Source, e.g. "T<ruuvi.cockpit"
+  function failoverStatus(station) {
+    return Object.keys(station.fieldSources)
+      .filter(key => station.sourcePriority[key] && station.fieldSources[key] !== station.sourcePriority[key][0])
+      .map(key => `${FIELD_LABELS[key]}<${station.fieldSources[key]}`)
+      .join(' ');
+  }
+
   /**
    * Fetches weather data from Signal K and converts values to Windy-standard units.
    * K -> °C, Ratio -> %
    * Signal K provides Pa. Windy API v2 expects Pa. (v1.0.8 Update)
+   *
+   * In 'average' mode each field is built from the samples collected over the
+   * reporting interval (see aggregateSamples). Fields without samples, and every
+   * field in 'instant' mode, fall back to the current Signal K snapshot.
+   * Stale fields are omitted and recorded in station.staleFields (see isStale).
    */
-  function getStationData(options) {
+  function getStationData(station) {
+    const options = station.options;
     const pm = options.pathMap || {};
     const d = {};
-    const get = (p) => app.getSelfPath(p);
+    const averaging = (options.averagingMode || 'average') === 'average';
+    station.staleFields = [];
+    // Raw and corrected values of every field changed by calibration or mounting
+    // corrections, logged together below
+    const changes = [];
+    const fix = (key, value) => {
+      const corrected = correctValue(station, key, value);
+      if (corrected !== value) changes.push(correctionNote(key, value, corrected));
+      return corrected;
+    };
+    // Source each field was read from (see readField), for the debug log and /status
+    station.fieldSources = {};
+    const get = (key) => {
+      const current = readField(station, key);
+      if (!current) return null;
+      // No preferred source current, or the reading is older than the stale threshold
+      if ((station.sourcePriority[key] && !current.source) || isStale(options, key, current.timestamp)) {
+        station.staleFields.push(key);
+        return null;
+      }
+      if (averaging) {
+        const value = aggregateSamples(station, key);
+        if (value !== null) {
+          station.fieldSources[key] = current.source;
+          return { value };
+        }
+      }
+      // Snapshot values have not been through the sample checks (instant mode, or no
+      // samples yet), so they are checked here against the field's recent history
+      if (current.value === null || current.value === undefined) return null;
+      const reason = qcCheck(station, key, current.value, station.samples[key]);
+      if (reason) {
+        qcReject(station, key, current.value, reason);
+        return null;
+      }
+      station.fieldSources[key] = current.source;
+      return current;
+    };
+
+    let w = get('windSpeed');
+    let dr = get('windDir');
+
+    // DERIVED TRUE WIND: Only used when the configured true-wind paths have no value,
+    // so a vessel that publishes true wind is never overridden by the calculation.
+    // Speed and direction are replaced together, both from the same apparent wind, so
+    // a measured speed is never paired with a derived direction or the other way round.
+    if (options.deriveTrueWind && !(w && w.value !== null && dr && dr.value !== null)) {
+      let derived = null;
+      if (averaging && station.samples.derivedWindSpeed && station.samples.derivedWindSpeed.length) {
+        derived = { speed: aggregateSamples(station, 'derivedWindSpeed'), direction: aggregateSamples(station, 'derivedWindDir') };
+      } else {
+        derived = deriveTrueWind(station, pathNumber(station, APPARENT_SPEED_PATH), pathNumber(station, APPARENT_ANGLE_PATH));
+      }
+      const reason = derived && qcCheck(station, 'derivedWindSpeed', derived.speed, null);
+      if (reason) {
+        qcReject(station, 'derivedWindSpeed', derived.speed, reason);
+        derived = null;
+      }
+      if (derived) {
+        w = { value: derived.speed };
+        dr = { value: derived.direction };
+        delete station.fieldSources.windSpeed;
+        delete station.fieldSources.windDir;
+        // The derived wind is reported in place of stale true-wind paths
+        station.staleFields = station.staleFields.filter(key => key !== 'windSpeed' && key !== 'windDir');
+        app.debug(`${station.label}Derived true wind: ${derived.speed.toFixed(1)} m/s from ${Math.round(derived.direction * 180 / Math.PI) % 360}°`);
+      }
+    }
+
+    // CORRECTIONS: calibration, then height normalization for wind and sea-level
+    // reduction for pressure (see correctValue). Values stay in Signal K units until
+    // converted for Windy below.
+    const corrections = options.corrections || {};
+    const valueOf = (key, reading) => (reading && reading.value !== null ? fix(key, reading.value) : null);
 
-    const w = get(pm.windSpeed || 'environment.wind.speedOverGround');
-    if (w && w.value !== null) d.wind = w.value.toFixed(1);
+    const wind = valueOf('windSpeed', w);
+    if (wind !== null) d.wind = wind.toFixed(1);
 
-    const g = get(pm.windGust || 'environment.wind.gust');
-    if (g && g.value !== null) d.gust = g.value.toFixed(1);
+    const gust = valueOf('windGust', get('windGust'));
+    if (gust !== null) d.gust = gust.toFixed(1);
 
-    const dr = get(pm.windDir || 'environment.wind.directionTrue');
     // Modulo 360 prevents the value 360 from being submitted when the Signal K radian
     // value is at or very near 2π (due north). Windy's validator accepts 0–359 only —
     // a raw Math.round() can produce exactly 360, triggering a 400 Bad Request.
-    if (dr && dr.value !== null) d.winddir = Math.round((dr.value * 180) / Math.PI) % 360;
+    const dir = valueOf('windDir', dr);
+    if (dir !== null) d.winddir = Math.round((dir * 180) / Math.PI) % 360;
+
+    const temp = valueOf('temp', get('temp'));
+    if (temp !== null) d.temp = (temp - 273.15).toFixed(1);
+
+    let pressure = valueOf('pressure', get('pressure'));
+    if (pressure !== null && corrections.reducePressure) {
+      const reduced = reduceToSeaLevel(options, pressure, temp);
+      changes.push(`pressure ${(pressure / 100).toFixed(1)} → ${(reduced / 100).toFixed(1)} hPa (sea level)`);
+      pressure = reduced;
+    }
+    if (pressure !== null) d.pressure = Math.round(pressure);
+
+    const humidity = valueOf('humidity', get('humidity'));
+    if (humidity !== null) d.rh = Math.round(humidity * 100);
+
+    // Dew point: K -> °C from a sensor path when one publishes it, otherwise calculated
+    // from temperature and humidity (Magnus formula) when both are available.
+    const dewPoint = valueOf('dewPoint', get('dewPoint'));
+    if (dewPoint !== null) {
+      d.dewpoint = (dewPoint - 273.15).toFixed(1);
+    } else if (temp !== null && humidity > 0) {
+      d.dewpoint = magnusDewPoint(temp - 273.15, humidity * 100).toFixed(1);
+    }
 
-    const t = get(pm.temp || 'environment.outside.temperature');
-    if (t && t.value !== null) d.temp = (t.value - 273.15).toFixed(1);
+    const uv = valueOf('uv', get('uv'));
+    if (uv !== null) d.uv = uv.toFixed(1);
 
-    const p = get(pm.pressure || 'environment.outside.pressure');
-    if (p && p.value !== null) d.pressure = Math.round(p.value);
+    // Solar radiation: Signal K and Windy both use W/m²
+    const sr = valueOf('solarRadiation', get('solarRadiation'));
+    if (sr !== null) d.solarradiation = Math.round(sr);
 
-    const h = get(pm.humidity || 'environment.outside.relativeHumidity');
-    if (h && h.value !== null) d.rh = Math.round(h.value * 100);
+    if (changes.length > 0) app.debug(`${station.label}Corrections (raw → corrected): ${changes.join(', ')}`);
+    const sources = Object.keys(station.fieldSources).map(key => `${key} ${station.fieldSources[key] || 'unknown'}`);
+    if (sources.length > 0) app.debug(`${station.label}Sources: ${sources.join(', ')}`);
 
+    // Rain gauge: accumulated from the subscription, so there is no snapshot to read
+    if (pm.precip) {
+      const rain = precipLastHour(station);
+      if (rain !== null) d.precip = rain.toFixed(1);
+    }
+
+    checkPlausibility(station, d);
     return d;
   }
 
+  // --- CORRECTIONS ---
+
+  /**
+   * Applies the field's calibration (raw × scale + offset, in the units shown in the
+   * configuration) and, for wind speed and gust, normalization to 10 m. Takes and
+   * returns Signal K units. Returns the value unchanged when nothing is configured.
+   */
+  function correctValue(station, key, value) {
+    const options = station.options;
+    const corrections = options.corrections || {};
+    const field = CALIBRATION_FIELDS[key];
+    const calibration = (corrections.calibration || {})[key] || {};
+    const scale = typeof calibration.scale === 'number' ? calibration.scale : 1;
+    const offset = typeof calibration.offset === 'number' ? calibration.offset : 0;
+
+    let corrected = value;
+    if (field && (scale !== 1 || offset !== 0)) {
+      corrected = field.fromUnit(field.toUnit(value) * scale + offset);
+    }
+    if ((key === 'windSpeed' || key === 'windGust') && corrections.normalizeWind) {
+      corrected = normalizeWindHeight(options, corrected);
+    }
+    return corrected;
+  }
+
   /**
-   * Schedules the next reporting cycle. By default uses the configured interval.
+   * Converts a wind speed measured at the Wind Sensor Height to the 10 m reference
+   * height. The logarithmic profile uses the roughness length z0:
+   *   u10 = u(z) × ln(10 / z0) / ln(z / z0)
+   * and the power law the exponent α:
+   *   u10 = u(z) × (10 / z)^α
+   * Both assume near-neutral stability, which is the usual case over open water.
+   */
+  function normalizeWindHeight(options, speed) {
+    const corrections = options.corrections || {};
+    const height = options.agl_wind || 10;
+    if (height === 10) return speed;
+
+    if ((corrections.windProfile || 'log') === 'power') {
+      const exponent = typeof corrections.powerExponent === 'number' ? corrections.powerExponent : DEFAULT_POWER_EXPONENT;
+      return speed * Math.pow(10 / height, exponent);
+    }
+    const z0 = corrections.roughnessLength > 0 ? corrections.roughnessLength : DEFAULT_ROUGHNESS_LENGTH;
+    if (height <= z0) return speed;
+    return speed * Math.log(10 / z0) / Math.log(height / z0);
+  }
+
+  /**
+   * Reduces station pressure (Pa) to mean sea level with the hypsometric equation,
+   * using the mean temperature of the air column between the barometer and the sea
+   * (standard lapse rate of 6.5 K/km from the measured temperature, or 15 °C when no
+   * temperature is available). At deck heights this adds about 0.12 hPa per metre.
+   */
+  function reduceToSeaLevel(options, pressure, tempK) {
+    const corrections = options.corrections || {};
+    const height = typeof corrections.baroHeight === 'number' ? corrections.baroHeight : (options.agl_temp || 2);
+    const meanTemp = (tempK === null ? 288.15 : tempK) + 0.0065 * height / 2;
+    return pressure * Math.exp((9.80665 * height) / (287.05 * meanTemp));
+  }
+
+  // Debug text for one corrected value, in the units shown in the configuration
+  function correctionNote(key, raw, corrected) {
+    const field = CALIBRATION_FIELDS[key];
+    if (!field) return `${key} ${raw} → ${corrected}`;
+    return `${key} ${field.toUnit(raw).toFixed(2)} → ${field.toUnit(corrected).toFixed(2)} ${field.unit}`;
+  }
+
+  // --- QUALITY CONTROL ---
+
+  /**
+   * Physical limits per field in Signal K units, built from the qc settings.
+   * Fields without a spike limit (gust, direction, UV, solar radiation) change
+   * abruptly by nature and are only range checked.
+   */
+  function qcLimits(options) {
+    const qc = options.qc || {};
+    const setting = (key) => (typeof qc[key] === 'number' ? qc[key] : QC_DEFAULTS[key]);
+    const temperature = {
+      min: setting('tempMin') + 273.15,
+      max: setting('tempMax') + 273.15,
+      spike: setting('tempSpike')
+    };
+    return {
+      windSpeed: { min: 0, max: setting('windSpeedMax'), spike: setting('windSpeedSpike') },
+      windGust: { min: 0, max: setting('windSpeedMax') },
+      windDir: { min: 0, max: 2 * Math.PI + 0.001 },
+      temp: temperature,
+      dewPoint: temperature,
+      pressure: { min: setting('pressureMin') * 100, max: setting('pressureMax') * 100, spike: setting('pressureSpike') * 100 },
+      humidity: { min: 0, max: 1, spike: setting('humiditySpike') / 100 },
+      uv: { min: 0, max: setting('uvMax') },
+      solarRadiation: { min: 0, max: setting('solarRadiationMax') }
+    };
+  }
+
+  /**
+   * Returns why a reading should be rejected, or null to accept it. Non-numeric
+   * values (a disconnected NMEA sender can publish NaN or null) are always rejected;
+   * range and spike checks can be turned off with qc.enabled. The spike check compares
+   * against the median of the last minute of accepted readings in history, so a
+   * genuine step change is accepted once it has persisted for that long.
+   */
+  function qcCheck(station, key, value, history) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return 'not a number';
+    if (station.options.qc && station.options.qc.enabled === false) return null;
+
+    const limits = station.qcLimits[QC_FIELD[key] || key];
+    if (!limits) return null;
+    if (value < limits.min || value > limits.max) {
+      return `outside limits ${+limits.min.toFixed(2)} to ${+limits.max.toFixed(2)}`;
+    }
+    if (limits.spike && history) {
+      const cutoff = clock.now() - QC_SPIKE_WINDOW_MS;
+      const recent = history.filter(s => s.t > cutoff).map(s => s.v).sort((a, b) => a - b);
+      if (recent.length >= QC_SPIKE_MIN_SAMPLES) {
+        const median = recent[Math.floor(recent.length / 2)];
+        if (Math.abs(value - median) > limits.spike) {
+          return `spike from recent median ${+median.toFixed(2)}`;
+        }
+      }
+    }
+    return null;
+  }
+
+  // Counts and logs a rejected reading. Values are in Signal K units except for the
+  // plausibility rules, which work on the converted payload.
+  function qcReject(station, key, value, reason) {
+    const field = QC_FIELD[key] || key;
+    station.qcCounts[field] = (station.qcCounts[field] || 0) + 1;
+    station.qcTotals[field] = (station.qcTotals[field] || 0) + 1;
+    app.debug(`${station.label}QC rejected ${key} ${value}: ${reason}`);
+  }
+
+  /**
+   * Cross-field rules applied to the finished payload, where each value is already in
+   * Windy units:
+   *   - gust below the wind speed is dropped (a gust is the peak, so it cannot be lower)
+   *   - wind direction is dropped when the wind speed is zero (a vane at rest points anywhere)
+   *   - dew point above the air temperature is dropped (physically impossible; 0.5 °C of
+   *     slack allows for sensor tolerance in saturated air)
+   */
+  function checkPlausibility(station, d) {
+    if (station.options.qc && station.options.qc.enabled === false) return;
+    const num = (key) => (d[key] === undefined ? null : Number(d[key]));
+
+    if (num('gust') !== null && num('wind') !== null && num('gust') < num('wind')) {
+      qcReject(station, 'windGust', d.gust, `below wind speed ${d.wind}`);
+      delete d.gust;
+    }
+    if (num('winddir') !== null && num('wind') === 0) {
+      qcReject(station, 'windDir', d.winddir, 'wind speed is zero');
+      delete d.winddir;
+    }
+    if (num('dewpoint') !== null && num('temp') !== null && num('dewpoint') > num('temp') + 0.5) {
+      qcReject(station, 'dewPoint', d.dewpoint, `above temperature ${d.temp}`);
+      delete d.dewpoint;
+    }
+  }
+
+  /**
+   * Schedules the station's next reporting cycle. By default uses the configured interval.
    * When overrideMs is provided (e.g., from a 429 retry_after response), that
    * delay is used instead — allowing precise rescheduling to Windy's rate limit window.
    */
-  function scheduleNext(options, overrideMs = null) {
-    const interval = overrideMs || (options.interval || 5) * 60000;
-    nextRunTime = Date.now() + interval;
+  function scheduleNext(station, overrideMs = null) {
+    const offline = overrideMs === null && station.networkFailures > 0;
+    const interval = overrideMs || (offline ? backoffDelay(station) : (station.options.interval || 5) * 60000);
+    station.nextRunTime = clock.now() + interval;
+    // The plugin-wide heartbeat picks up the new countdown on its next tick
+    station.statusPrefix = offline ? 'Offline' : 'Next';
+    if (offline) {
+      app.debug(`${station.label}Offline after ${station.networkFailures} failed attempt(s); next attempt in ${formatDuration(interval)}`);
+    }
 
-    // Start countdown heartbeat for the new interval
-    if (statusTimer) clearInterval(statusTimer);
-    statusTimer = setInterval(() => updateHeartbeatStatus(), 1000);
+    // Use any spare rate-limit window before the next live report to drain the offline
+    // queue. Without one (always the case at the default 5-minute interval) the next
+    // cycle sends the oldest queued observation in place of a live one, and the cycle
+    // after it is live again, so queued and live observations alternate until the queue
+    // is empty. A live report retried after a 429 stays live.
+    const noWindow = scheduleReplay(station);
+    station.replayNext = noWindow && overrideMs === null && !station.lastCycleReplay;
 
     // Clear any existing timer before scheduling (important for 429 reschedule path
     // where scheduleNext is called from within reportToWindy's catch block)
-    if (timer) clearTimeout(timer);
-
-    timer = setTimeout(async () => { 
-      clearInterval(statusTimer); // Stop countdown before reporting
-      const rescheduled = await reportToWindy(options); 
-      // If reportToWindy already rescheduled (e.g., 429 retry_after), don't double-schedule
-      if (!rescheduled) scheduleNext(options); 
-    }, interval);
+    if (station.timer) clock.clearTimeout(station.timer);
+
+    station.timer = clock.setTimeout(() => runCycle(station), interval);
+  }
+
+  /**
+   * Delay before the next attempt while offline. Starts at the reporting interval and
+   * doubles with each consecutive network failure, up to backoffMax minutes, so a
+   * link that is down for hours costs a handful of attempts instead of one every
+   * interval. Jitter adds a random 0 to backoffJitter percent, so devices that lost
+   * the same link (a marina's WiFi, a satellite outage) do not all retry together.
+   */
+  function backoffDelay(station) {
+    const options = station.options;
+    const interval = (options.interval || 5) * 60000;
+    const cap = Math.max(interval, (options.backoffMax || DEFAULT_BACKOFF_MAX) * 60000);
+    const delay = Math.min(cap, interval * Math.pow(2, station.networkFailures - 1));
+    const jitter = (options.backoffJitter === undefined ? DEFAULT_BACKOFF_JITTER : options.backoffJitter) / 100;
+    return Math.round(delay * (1 + Math.random() * jitter));
+  }
+
+  /**
+   * Runs one reporting cycle for a station and schedules its next. Shared by the timers
+   * and the HTTP "report now" action so both follow the same rescheduling rules.
+   * A cycle marked by scheduleNext sends the oldest queued observation instead, unless
+   * it is a manual report (`live`) or there is nothing to replay.
+   */
+  async function runCycle(station, live = false) {
+    station.reportInProgress = true;
+    const replay = station.replayNext && !live;
+    station.replayNext = false;
+    let replayed = false;
+    let rescheduled = false;
+    try {
+      if (replay) replayed = await replayQueuedObservation(station, true);
+      if (!replayed) rescheduled = await reportToWindy(station);
+    } finally {
+      station.reportInProgress = false;
+      station.lastCycleReplay = replayed;
+    }
+    // If reportToWindy already rescheduled (e.g., 429 retry_after), don't double-schedule.
+    // Also skip if the plugin was stopped or restarted while the report was in flight.
+    if (!rescheduled && stations.includes(station)) scheduleNext(station);
+    // Checkpoint with the new schedule, so a restart resumes it rather than warming up
+    if (stations.includes(station)) saveState();
+  }
+
+  // --- ADDITIONAL NETWORKS ---
+
+  /**
+   * Schedules the next upload to an additional network. Uses the network's own
+   * interval (never below the backend's minimum), or overrideMs after a warm-up or
+   * a rate limit response.
+   */
+  function scheduleUpload(uploader, overrideMs = null) {
+    const { backend, config } = uploader;
+    const minutes = Math.max(config.interval || backend.defaultInterval, backend.minInterval);
+    const interval = overrideMs || minutes * 60000;
+    uploader.nextRunTime = clock.now() + interval;
+    if (uploader.timer) clock.clearTimeout(uploader.timer);
+    uploader.timer = clock.setTimeout(() => runUpload(uploader), interval);
+  }
+
+  /**
+   * Sends the primary station's latest observation to an additional network.
+   *
+   * The payload is the snapshot of the last Windy reporting cycle (getStationData plus
+   * the gap closer), so every network reports identical readings and the sensors, quality
+   * control and source selection run once per cycle; the backend converts units. Each
+   * snapshot is uploaded once, so a network with a shorter interval than Windy's waits
+   * for the next cycle. The peak gust tracker belongs to Windy's interval.
+   *
+   * Failures are classified by the backend. Network errors are logged only, as for
+   * Windy. Rejected credentials and other API errors also raise the dashboard error
+   * indicator. A rate limit reschedules after the backend's retry delay if it gave one.
+   */
+  async function runUpload(uploader) {
+    const { backend, config } = uploader;
+    const station = stations[0];
+    const snapshot = station.snapshot;
+    const weather = snapshot ? snapshot.weather : {};
+    const pos = readPath(station, 'navigation.position');
+    let retryMs = null;
+
+    // Reporting rules apply to every network. A network that publishes the position
+    // (CWOP) cannot be made private, so it also stops outside territorial waters.
+    const rules = evaluateRules(station);
+    if (rules.pause) {
+      app.debug(`${backend.name}: upload skipped, reporting paused: ${rules.pause}`);
+    } else if (backend.requiresPosition && (rules.noPosition || rules.share)) {
+      app.debug(`${backend.name}: upload skipped, ${rules.state}`);
+    } else if (snapshot && snapshot.time === uploader.lastSnapshotTime) {
+      app.debug(`${backend.name}: no new observation since the last upload, upload skipped`);
+    } else if (Object.keys(weather).length === 0) {
+      app.debug(`${backend.name}: no current sensor data, upload skipped`);
+    } else if (backend.requiresPosition && !(pos && pos.value)) {
+      app.debug(`${backend.name}: no vessel position, upload skipped`);
+    } else {
+      const ts = Math.floor(snapshot.time / 1000);
+      const context = { ts, position: pos && pos.value, software: plugin.id, version, seaLevelPressure: snapshot.seaLevelPressure };
+      app.debug(`${backend.name} Submission: ${JSON.stringify(weather)}`);
+
+      try {
+        const response = await backend.send(config, weather, context);
+        uploader.lastUpload = { time: new Date(clock.now()).toISOString(), ts, payload: weather, ok: true, status: response.status };
+        uploader.lastSnapshotTime = snapshot.time;
+        app.debug(`${backend.name} upload accepted`);
+      } catch (err) {
+        const failure = backend.classifyError(err);
+        uploader.lastUpload = {
+          time: new Date(clock.now()).toISOString(), ts, payload: weather,
+          ok: false, status: failure.status === undefined ? null : failure.status, error: failure.detail || failure.kind
+        };
+        if (failure.kind === 'rateLimit') {
+          app.debug(`${backend.name} rate limited the upload`);
+          retryMs = failure.retryMs;
+        } else if (failure.kind === 'network') {
+          app.error(`${backend.name} Upload Error (network): ${failure.detail}`);
+        } else {
+          app.error(`${backend.name} Upload Error (${failure.status}): ${failure.detail}`);
+          app.setPluginError(failure.message);
+        }
+      }
+    }
+
+    // Skip if the plugin was stopped or restarted while the upload was in flight
+    if (uploaders.includes(uploader)) scheduleUpload(uploader, retryMs);
   }
 
   return plugin;
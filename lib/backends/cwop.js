@@ -0,0 +1,191 @@
+/*
+ * Signal K Windy API v2 Reporter - CWOP (APRS-IS) backend
+ *
+ * Copyright (C) 2026 Peter Petrik
+ *
+ * SPDX-License-Identifier: GPL-3.0-or-later
+ */
+
+const net = require('net');
+
+/**
+ * CWOP (Citizen Weather Observer Program) backend.
+ *
+ * CWOP collects observations as APRS weather packets over an APRS-IS TCP connection.
+ * Each upload opens a connection, logs in with the callsign, waits for the server's
+ * login response, sends one positioned weather report and disconnects, which is the
+ * pattern CWOP asks stations to follow. Position comes from the vessel, so a moving
+ * boat is plotted where it is rather than where it was registered.
+ */
+
+const DEFAULT_SERVER = 'cwop.aprs.net:14580';
+
+// Connection timeout in seconds, overridable with config.requestTimeout
+const DEFAULT_TIMEOUT = 30;
+
+// Conversions from the Windy payload (SI and metric) to APRS units
+const MS_TO_MPH = 2.23694;
+const MM_TO_HUNDREDTHS_IN = 100 / 25.4;
+
+/**
+ * Fixed-width APRS number: zero padded, with a leading minus for negatives
+ * (e.g. -5 °F in a 3-character field is "-05").
+ */
+function field(value, width) {
+  const n = Math.round(value);
+  if (n < 0) return '-' + String(-n).padStart(width - 1, '0');
+  return String(n).padStart(width, '0').slice(-width);
+}
+
+// Latitude as DDMM.mmN and longitude as DDDMM.mmE
+function aprsPosition(lat, lon) {
+  const format = (deg, degWidth, pos, neg) => {
+    const abs = Math.abs(deg);
+    let whole = Math.floor(abs);
+    let minutes = Number(((abs - whole) * 60).toFixed(2));
+    if (minutes >= 60) { whole += 1; minutes = 0; }
+    return String(whole).padStart(degWidth, '0') + minutes.toFixed(2).padStart(5, '0') + (deg < 0 ? neg : pos);
+  };
+  return `${format(lat, 2, 'N', 'S')}/${format(lon, 3, 'E', 'W')}`;
+}
+
+/**
+ * Builds the APRS positioned weather report, e.g.
+ *   CW1234>APRS,TCPIP*:@191341z4903.50N/07201.75W_220/004g005t077r000h50b10132
+ * Wind direction, speed, gust and temperature are mandatory in the format and sent
+ * as "..." when unknown. Rain, humidity, pressure and luminosity are left out when
+ * the payload has no value for them.
+ */
+function buildPacket(callsign, weather, position, ts, software) {
+  const num = (key) => (weather[key] === undefined ? null : Number(weather[key]));
+  const time = new Date(ts * 1000).toISOString();
+  const stamp = time.slice(8, 10) + time.slice(11, 13) + time.slice(14, 16) + 'z';
+
+  let wx = '';
+  wx += num('winddir') !== null ? field(num('winddir'), 3) : '...';
+  wx += '/' + (num('wind') !== null ? field(num('wind') * MS_TO_MPH, 3) : '...');
+  wx += 'g' + (num('gust') !== null ? field(num('gust') * MS_TO_MPH, 3) : '...');
+  wx += 't' + (num('temp') !== null ? field(num('temp') * 9 / 5 + 32, 3) : '...');
+  if (num('precip') !== null) wx += 'r' + field(num('precip') * MM_TO_HUNDREDTHS_IN, 3);
+  // APRS humidity is two digits, with 00 meaning 100%
+  if (num('rh') !== null) wx += 'h' + (num('rh') >= 100 ? '00' : field(Math.max(1, num('rh')), 2));
+  // Pressure in tenths of a millibar (Pa / 10)
+  if (num('pressure') !== null) wx += 'b' + field(num('pressure') / 10, 5);
+  // Luminosity in W/m²: L below 1000, l for 1000 and above (value minus 1000)
+  const sr = num('solarradiation');
+  if (sr !== null) wx += sr < 1000 ? 'L' + field(sr, 3) : 'l' + field(sr - 1000, 3);
+
+  return `${callsign}>APRS,TCPIP*:@${stamp}${aprsPosition(position.latitude, position.longitude)}_${wx}${software}`;
+}
+
+// host and port from "host:port" or "tcp://host:port"
+function parseServer(server) {
+  const text = (server || DEFAULT_SERVER).replace(/^[a-z]+:\/\//i, '').replace(/\/+$/, '');
+  const split = text.lastIndexOf(':');
+  if (split < 0) return { host: text, port: 14580 };
+  return { host: text.slice(0, split), port: Number(text.slice(split + 1)) || 14580 };
+}
+
+module.exports = {
+  id: 'cwop',
+  name: 'CWOP',
+  defaultBaseUrl: DEFAULT_SERVER,
+  // CWOP asks stations not to send more than once every 5 minutes
+  defaultInterval: 10,
+  minInterval: 5,
+  requiresPosition: true,
+
+  schema: {
+    stationId: {
+      type: 'string',
+      title: 'Callsign',
+      description: 'CWOP station ID (e.g. CW1234) or amateur radio callsign.'
+    },
+    password: {
+      type: 'string',
+      title: 'APRS-IS Passcode',
+      description: 'Only needed for amateur radio callsigns. Leave blank for CWOP IDs.'
+    }
+  },
+  secretFields: ['password'],
+
+  isConfigured(config) {
+    return Boolean(config.stationId);
+  },
+
+  /**
+   * Sends one weather packet. Resolves with { status: 'sent', packet } once the
+   * connection has closed cleanly, or rejects with a socket error. A login that the
+   * server reports as unverified while a passcode was configured rejects with
+   * code APRS_UNVERIFIED.
+   */
+  send(config, weather, context) {
+    const { host, port } = parseServer(config.baseUrl);
+    const callsign = config.stationId.toUpperCase();
+    const passcode = config.password || '-1';
+    const packet = buildPacket(callsign, weather, context.position, context.ts, context.software);
+
+    return new Promise((resolve, reject) => {
+      let buffer = '';
+      let sent = false;
+      let failed = null;
+      const socket = net.connect({ host, port });
+      socket.setEncoding('utf8');
+      socket.setTimeout((config.requestTimeout || DEFAULT_TIMEOUT) * 1000);
+
+      const fail = (err) => {
+        if (failed) return;
+        failed = err;
+        socket.destroy();
+        reject(err);
+      };
+
+      socket.on('connect', () => {
+        socket.write(`user ${callsign} pass ${passcode} vers ${context.software} ${context.version}\r\n`);
+      });
+      socket.on('data', (chunk) => {
+        buffer += chunk;
+        let newline;
+        while (!sent && (newline = buffer.indexOf('\n')) >= 0) {
+          const line = buffer.slice(0, newline).trim();
+          buffer = buffer.slice(newline + 1);
+          if (!/^#\s*logresp/i.test(line)) continue;
+
+          // CWOP IDs always log in unverified, which is fine for weather data.
+          // With a passcode configured, unverified means the passcode was wrong.
+          if (config.password && /unverified/i.test(line)) {
+            const err = new Error(`APRS-IS login not verified: ${line}`);
+            err.code = 'APRS_UNVERIFIED';
+            return fail(err);
+          }
+          sent = true;
+          socket.end(`${packet}\r\n`);
+        }
+      });
+      socket.on('timeout', () => {
+        const err = new Error(`APRS-IS server ${host}:${port} did not respond`);
+        err.code = 'ETIMEDOUT';
+        fail(err);
+      });
+      socket.on('error', fail);
+      socket.on('close', () => {
+        if (failed) return;
+        if (sent) resolve({ status: 'sent', packet });
+        else fail(new Error(`APRS-IS server ${host}:${port} closed the connection before login completed`));
+      });
+    });
+  },
+
+  /**
+   * APRS-IS has no error replies beyond the login response, so everything except a
+   * rejected passcode is treated as a transient network failure.
+   */
+  classifyError(err) {
+    if (err.code === 'APRS_UNVERIFIED') {
+      return { kind: 'auth', status: null, detail: err.message, message: 'CWOP rejected the APRS-IS passcode — verify the Callsign and Passcode in the plugin configuration' };
+    }
+    return { kind: 'network', detail: err.message };
+  },
+
+  buildPacket
+};
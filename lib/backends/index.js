@@ -0,0 +1,44 @@
+/*
+ * Signal K Windy API v2 Reporter - Backend registry
+ *
+ * Copyright (C) 2026 Peter Petrik
+ *
+ * SPDX-License-Identifier: GPL-3.0-or-later
+ */
+
+const windy = require('./windy');
+const cwop = require('./cwop');
+const { createBackend } = require('./updateweatherstation');
+
+/**
+ * Backend registry.
+ *
+ * Windy is the primary network and is driven by the full reporting cycle in index.js
+ * (movement guard, metadata PUT, offline queue). The uploaders below are additional
+ * networks that receive the same observation on their own interval.
+ *
+ * Every uploader provides:
+ *   id, name                  - schema key and display name
+ *   defaultBaseUrl            - production server, overridable per backend
+ *   defaultInterval, minInterval (minutes)
+ *   requiresPosition          - true if send() needs the vessel position
+ *   schema, secretFields      - credential fields for the configuration schema
+ *   isConfigured(config)      - whether the credentials are complete
+ *   send(config, weather, context) - upload one observation (returns a Promise)
+ *   classifyError(err)        - { kind: 'network' | 'rateLimit' | 'auth' | 'api', ... }
+ */
+const uploaders = [
+  createBackend({
+    id: 'wunderground',
+    name: 'Weather Underground',
+    defaultBaseUrl: 'https://rtupdate.wunderground.com/weatherstation/updateweatherstation.php'
+  }),
+  createBackend({
+    id: 'pwsweather',
+    name: 'PWSweather',
+    defaultBaseUrl: 'https://pwsupdate.pwsweather.com/api/v1/submitwx'
+  }),
+  cwop
+];
+
+module.exports = { windy, uploaders };
@@ -0,0 +1,131 @@
+/*
+ * Signal K Windy API v2 Reporter - Weather Underground / PWSweather backend
+ *
+ * Copyright (C) 2026 Peter Petrik
+ *
+ * SPDX-License-Identifier: GPL-3.0-or-later
+ */
+
+const axios = require('axios');
+
+/**
+ * Weather Underground style `updateweatherstation` backend.
+ *
+ * Weather Underground and PWSweather accept the same GET protocol: credentials and
+ * readings in the query string, imperial units, and a plain-text reply. The two
+ * networks differ only in the server URL, so index.js creates one backend per
+ * network from this factory.
+ */
+
+// Conversions from the Windy payload (SI and metric) to the protocol's imperial units
+const MS_TO_MPH = 2.23694;
+const PA_TO_INHG = 0.000295300;
+const MM_TO_IN = 1 / 25.4;
+const cToF = (c) => c * 9 / 5 + 32;
+
+// Request timeout in seconds, overridable with config.requestTimeout
+const DEFAULT_TIMEOUT = 30;
+
+/**
+ * Builds the query parameters from the payload produced by getStationData.
+ * Fields that are absent from the payload are omitted, as the protocol expects.
+ * `baromin` is sea-level pressure, so it is only sent when the payload's pressure has
+ * been reduced to sea level (`seaLevelPressure`); a station pressure is left out.
+ */
+function toImperial(weather, { seaLevelPressure = false } = {}) {
+  const params = {};
+  const num = (key) => (weather[key] === undefined ? null : Number(weather[key]));
+
+  if (num('winddir') !== null) params.winddir = num('winddir');
+  if (num('wind') !== null) params.windspeedmph = (num('wind') * MS_TO_MPH).toFixed(1);
+  if (num('gust') !== null) params.windgustmph = (num('gust') * MS_TO_MPH).toFixed(1);
+  if (num('temp') !== null) params.tempf = cToF(num('temp')).toFixed(1);
+  if (num('rh') !== null) params.humidity = num('rh');
+  if (num('dewpoint') !== null) params.dewptf = cToF(num('dewpoint')).toFixed(1);
+  if (num('pressure') !== null && seaLevelPressure) params.baromin = (num('pressure') * PA_TO_INHG).toFixed(2);
+  if (num('precip') !== null) params.rainin = (num('precip') * MM_TO_IN).toFixed(2);
+  if (num('solarradiation') !== null) params.solarradiation = num('solarradiation');
+  if (num('uv') !== null) params.UV = num('uv');
+  return params;
+}
+
+// "YYYY-MM-DD HH:MM:SS" in UTC, the protocol's dateutc format
+function dateUtc(ts) {
+  return new Date(ts * 1000).toISOString().slice(0, 19).replace('T', ' ');
+}
+
+// Reply texts that mean the upload was refused even though the HTTP status was 200.
+// Weather Underground answers "INVALIDPASSWORDID|..." and PWSweather "ERROR: ...".
+const REJECTED_REPLY = /INVALIDPASSWORDID|unauthori[sz]ed|^\s*error/i;
+const CREDENTIAL_REPLY = /password|unauthori[sz]ed|station id|invalid id/i;
+
+/**
+ * Creates a backend for one network.
+ * spec: { id, name, defaultBaseUrl, idTitle }
+ */
+function createBackend(spec) {
+  return {
+    id: spec.id,
+    name: spec.name,
+    defaultBaseUrl: spec.defaultBaseUrl,
+    defaultInterval: 5,
+    minInterval: 1,
+
+    // Credential fields for the configuration schema
+    schema: {
+      stationId: { type: 'string', title: spec.idTitle || 'Station ID' },
+      password: { type: 'string', title: 'Station Key / Password' }
+    },
+    secretFields: ['password'],
+
+    isConfigured(config) {
+      return Boolean(config.stationId && config.password);
+    },
+
+    /**
+     * Uploads one observation. Resolves with the HTTP response, or rejects with an
+     * axios-style error (a refusal in a 200 reply is rethrown with err.response set).
+     */
+    async send(config, weather, context) {
+      const params = new URLSearchParams({
+        ID: config.stationId,
+        PASSWORD: config.password,
+        dateutc: dateUtc(context.ts),
+        ...toImperial(weather, { seaLevelPressure: context.seaLevelPressure }),
+        softwaretype: context.software,
+        action: 'updateraw'
+      }).toString();
+
+      const response = await axios.get(`${config.baseUrl || spec.defaultBaseUrl}?${params}`, {
+        timeout: (config.requestTimeout || DEFAULT_TIMEOUT) * 1000,
+        responseType: 'text'
+      });
+      if (typeof response.data === 'string' && REJECTED_REPLY.test(response.data)) {
+        const err = new Error(`${spec.name} refused the upload: ${response.data.trim()}`);
+        err.response = response;
+        throw err;
+      }
+      return response;
+    },
+
+    /**
+     * Network failures are transient. 401/403, or a reply naming the password or
+     * station ID, point at the credentials. Anything else is a generic API error.
+     */
+    classifyError(err) {
+      if (!err.response) return { kind: 'network', detail: err.message };
+      const status = err.response.status;
+      const text = typeof err.response.data === 'string' ? err.response.data.trim() : JSON.stringify(err.response.data);
+      if (status === 429) {
+        const seconds = Number(err.response.headers && err.response.headers['retry-after']);
+        return { kind: 'rateLimit', retryMs: seconds > 0 ? seconds * 1000 : null };
+      }
+      if (status === 401 || status === 403 || CREDENTIAL_REPLY.test(text)) {
+        return { kind: 'auth', status, detail: text, message: `${spec.name} rejected the Station ID or password — verify both in the plugin configuration` };
+      }
+      return { kind: 'api', status, detail: text, message: `${spec.name} upload failed (${status})` };
+    }
+  };
+}
+
+module.exports = { createBackend, toImperial };
@@ -0,0 +1,183 @@
+/*
+ * Signal K Windy API v2 Reporter - Windy API v2 backend
+ *
+ * Copyright (C) 2026 Peter Petrik
+ *
+ * SPDX-License-Identifier: GPL-3.0-or-later
+ */
+
+const axios = require('axios');
+
+/**
+ * Windy Stations API v2 backend (the plugin's primary network).
+ *
+ * Windy uses two endpoints: a station PUT for position and identity (authenticated
+ * with the Global API Key) and an observation GET (authenticated with the Station
+ * Password). The reporting cycle, movement guard and offline queue in index.js drive
+ * both; this module only knows how to talk to the API and how to read its errors.
+ */
+
+const DEFAULT_BASE_URL = 'https://stations.windy.com';
+
+// Longest retry_after honoured from a 429. Anything later is treated as unparseable
+// so a bogus timestamp cannot park the reporting cycle for hours.
+const MAX_RETRY_MS = 600000;
+
+// Request timeouts in seconds, overridable with options.requestTimeout and
+// options.probeTimeout. The probe only has to show the link is up, so it gives up sooner.
+const DEFAULT_TIMEOUT = 30;
+const DEFAULT_PROBE_TIMEOUT = 5;
+
+// Base URL without a trailing slash. Overridable so tests can use a local stand-in.
+function baseUrl(options) {
+  return (options.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+}
+
+/**
+ * Sends the station metadata PUT. Auth uses the Global API Key in headers.
+ */
+function updateStation(options, payload) {
+  return axios.put(`${baseUrl(options)}/api/v2/pws/${options.stationId}`, payload, {
+    headers: { 
+      'windy-api-key': options.apiKey,
+      'Content-Type': 'application/json'
+    },
+    timeout: (options.requestTimeout || DEFAULT_TIMEOUT) * 1000
+  });
+}
+
+/**
+ * Reads the station record back (station sync). Same endpoint and authentication as
+ * the update; the record uses the field names of the update payload.
+ */
+function getStation(options) {
+  return axios.get(`${baseUrl(options)}/api/v2/pws/${options.stationId}`, {
+    headers: { 'windy-api-key': options.apiKey },
+    timeout: (options.requestTimeout || DEFAULT_TIMEOUT) * 1000
+  });
+}
+
+/**
+ * Submits a single observation to Windy. Shared by the live reporting cycle and
+ * the offline queue replay so both use identical authentication and timeouts.
+ * Only non-secret parameters go in the query string. The station password is sent
+ * in the Authorization header, not here.
+ */
+function sendObservation(options, weather, ts) {
+  const weatherParams = new URLSearchParams({
+    id: options.stationId,
+    ts,
+    ...weather
+  }).toString();
+
+  return axios.get(`${baseUrl(options)}/api/v2/observation/update?${weatherParams}`, {
+    headers: { 'Authorization': `Bearer ${options.stationPassword}` },
+    timeout: (options.requestTimeout || DEFAULT_TIMEOUT) * 1000
+  });
+}
+
+/**
+ * Cheap reachability check used while offline, before spending data on a full
+ * upload: a HEAD request to the server root, without credentials. Any HTTP response
+ * (even an error status) proves the link is up, so only a network-level failure
+ * rejects.
+ */
+function probe(options) {
+  return axios.head(`${baseUrl(options)}/`, {
+    timeout: (options.probeTimeout || DEFAULT_PROBE_TIMEOUT) * 1000,
+    validateStatus: () => true
+  });
+}
+
+/**
+ * Classifies a failed request so the caller can decide how to react.
+ * `request` is 'observation' (GET), 'station' (PUT) or 'stationRecord' (the station
+ * sync's GET). Returns one of:
+ *   { kind: 'rateLimit', retryMs }          - 429; retryMs is null when retry_after is unusable
+ *   { kind: 'auth', status, detail, message } - a credential was rejected
+ *   { kind: 'notFound', status, detail, message } - no station with this ID (station record only)
+ *   { kind: 'api', status, detail, message }  - any other HTTP error
+ *   { kind: 'network', detail }               - no HTTP response at all
+ * `detail` is for the server log, `message` for the dashboard error indicator.
+ * `now` is the plugin clock's time, against which retry_after is measured.
+ */
+function classifyError(err, request, now = Date.now()) {
+  // Network-level (no err.response): DNS failures (EAI_AGAIN, ENOTFOUND),
+  // TLS handshake interruptions, connection timeouts (ETIMEDOUT), socket resets
+  // (ECONNRESET), unreachable hosts (ENETUNREACH, EHOSTUNREACH), and axios
+  // timeouts. These are expected in marine connectivity environments and
+  // self-correct on the next cycle.
+  if (!err.response) return { kind: 'network', detail: err.message };
+
+  const status = err.response.status;
+  const body = err.response.data;
+  const detail = JSON.stringify(body);
+
+  // --- RATE LIMIT ---
+  // Windy returns HTTP 429 with {"retry_after":"<ISO-8601 timestamp>"} when the
+  // observation rate limit (1 per 5 minutes per station) is exceeded. This is
+  // expected flow — not an error — especially on first cycle after restart when
+  // the plugin's timer may not be aligned with Windy's rate limit window.
+  if (status === 429) {
+    let retryMs = null;
+    const retryAfter = body && body.retry_after;
+    if (retryAfter) {
+      retryMs = new Date(retryAfter).getTime() - now;
+      // Sanity check: delay should be positive and no more than 10 minutes
+      if (!(retryMs > 0 && retryMs <= MAX_RETRY_MS)) retryMs = null;
+    }
+    return { kind: 'rateLimit', retryMs };
+  }
+
+  if (request === 'stationRecord') {
+    if (status === 404) {
+      return { kind: 'notFound', status, detail, message: 'Windy has no station with this Station ID (404) — verify the Station ID in the plugin configuration' };
+    }
+    if (status === 403) {
+      return { kind: 'auth', status, detail, message: 'Windy rejected the API Key or Station ID (403) — verify both in the plugin configuration' };
+    }
+    return { kind: 'api', status, detail, message: `Station lookup failed (${status})` };
+  }
+
+  if (request === 'station') {
+    // CREDENTIAL-AWARE MESSAGING (v1.5.0):
+    // Windy returns HTTP 403 ("Forbidden resource") on the metadata PUT when the
+    // Global API Key is rejected. Confirmed via live testing — but the SAME 403 is
+    // returned whether the API Key is wrong OR the Station ID does not exist. The
+    // API does not distinguish the two, so the message names both candidates rather
+    // than guessing. Other statuses keep the generic message.
+    if (status === 403) {
+      return { kind: 'auth', status, detail, message: 'Windy rejected the API Key or Station ID (403) — verify both in the plugin configuration' };
+    }
+    return { kind: 'api', status, detail, message: `Metadata update failed (${status})` };
+  }
+
+  // CREDENTIAL-AWARE MESSAGING (v1.5.0):
+  // Windy returns HTTP 400 with a body like {"message":"Provided password is
+  // invalid",...} when the Station Password (Bearer token) is rejected. Confirmed
+  // via live testing — a wrong password produces a 400, NOT a 401/403, and the
+  // same response appears whether the password or the station ID is wrong (the
+  // API reports both as a password problem).
+  //
+  // Detection is a heuristic: a 400 whose body mentions "password" (case-
+  // insensitive). This survives minor rewording by Windy and degrades gracefully
+  // to the generic message below if they change the wording substantially.
+  const bodyText = typeof body === 'string' ? body : JSON.stringify(body || '');
+  if (status === 400 && /password/i.test(bodyText)) {
+    return { kind: 'auth', status, detail, message: 'Station Password rejected by Windy — verify the Station Password in the plugin configuration' };
+  }
+  return { kind: 'api', status, detail, message: `Observation failed: Status ${status}: ${detail}` };
+}
+
+module.exports = {
+  id: 'windy',
+  name: 'Windy',
+  defaultBaseUrl: DEFAULT_BASE_URL,
+  defaultTimeout: DEFAULT_TIMEOUT,
+  defaultProbeTimeout: DEFAULT_PROBE_TIMEOUT,
+  updateStation,
+  getStation,
+  sendObservation,
+  probe,
+  classifyError
+};
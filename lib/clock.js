@@ -0,0 +1,75 @@
+/*
+ * Signal K Windy API v2 Reporter - Clock
+ *
+ * Copyright (C) 2026 Peter Petrik
+ *
+ * SPDX-License-Identifier: GPL-3.0-or-later
+ */
+
+/**
+ * Time source for the plugin.
+ *
+ * Everything in index.js that reads the time or sets a timer goes through a clock, so
+ * the replay harness (tools/replay.js) can run a recorded log through the plugin in
+ * virtual time. The Signal K server never passes one, so the plugin uses systemClock.
+ */
+const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (timer) => clearTimeout(timer),
+  setInterval: (fn, ms) => setInterval(fn, ms),
+  clearInterval: (timer) => clearInterval(timer)
+};
+
+/**
+ * A clock whose time only moves when advanceTo() is called. Due timers fire in time
+ * order (timers due at the same moment in the order they were set), and after each
+ * one the optional settle() is awaited so work the callback started, such as an HTTP
+ * request, finishes before the next timer fires.
+ */
+function createVirtualClock({ start = 0, settle = () => new Promise(resolve => setImmediate(resolve)) } = {}) {
+  let current = start;
+  let nextId = 1;
+  const timers = new Map(); // id -> { at, fn, interval }
+
+  const add = (fn, ms, interval) => {
+    const id = nextId++;
+    const delay = Math.max(0, Number(ms) || 0);
+    timers.set(id, { at: current + (interval ? Math.max(1, delay) : delay), fn, interval: interval ? Math.max(1, delay) : null });
+    return id;
+  };
+
+  // Earliest timer due at or before `time`, or null
+  const nextDue = (time) => {
+    let found = null;
+    for (const [id, timer] of timers) {
+      if (timer.at > time) continue;
+      if (!found || timer.at < found.timer.at || (timer.at === found.timer.at && id < found.id)) found = { id, timer };
+    }
+    return found;
+  };
+
+  return {
+    now: () => current,
+    setTimeout: (fn, ms) => add(fn, ms, false),
+    clearTimeout: (id) => { timers.delete(id); },
+    setInterval: (fn, ms) => add(fn, ms, true),
+    clearInterval: (id) => { timers.delete(id); },
+
+    // Number of timers still set (a stopped plugin should leave none)
+    pending: () => timers.size,
+
+    async advanceTo(time) {
+      for (let due = nextDue(time); due; due = nextDue(time)) {
+        current = Math.max(current, due.timer.at);
+        if (due.timer.interval) due.timer.at += due.timer.interval;
+        else timers.delete(due.id);
+        due.timer.fn();
+        await settle();
+      }
+      current = Math.max(current, time);
+    }
+  };
+}
+
+module.exports = { systemClock, createVirtualClock };
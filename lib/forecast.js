@@ -0,0 +1,127 @@
+/*
+ * Signal K Windy API v2 Reporter - Forecast verification
+ *
+ * Copyright (C) 2026 Peter Petrik
+ *
+ * SPDX-License-Identifier: GPL-3.0-or-later
+ */
+
+const axios = require('axios');
+
+/**
+ * Compares the station's observations with Windy's Point Forecast for its position.
+ *
+ * After each accepted observation the forecast is fetched, interpolated to the
+ * observation time and subtracted from the observed wind, gust, pressure and
+ * temperature. The differences are observed minus forecast, so a positive wind
+ * difference means the forecast is running light. Kept over a rolling window, their
+ * mean is the forecast's bias at this location.
+ *
+ * The Point Forecast API (api.windy.com) has its own API key, separate from the
+ * stations key, and answers with one series per parameter and level on a common
+ * time axis `ts` (ms): wind as u/v components, everything in SI units.
+ */
+
+const DEFAULT_BASE_URL = 'https://api.windy.com';
+const DEFAULT_MODEL = 'gfs';
+const DEFAULT_TIMEOUT = 30;
+
+// Compared fields, keyed by Windy observation parameter (the units getStationData
+// produces: m/s, Pa and °C), with the forecast series each is read from
+const FIELDS = {
+  wind: { series: ['wind_u-surface', 'wind_v-surface'], decimals: 1 },
+  gust: { series: ['gust-surface'], decimals: 1 },
+  pressure: { series: ['pressure-surface'], decimals: 0 },
+  temp: { series: ['temp-surface'], decimals: 1 }
+};
+
+// Base URL without a trailing slash. Overridable so tests can use a local stand-in.
+function baseUrl(config) {
+  return (config.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+}
+
+/**
+ * Requests the surface forecast of the compared parameters for `position`
+ * ({ latitude, longitude }). The key travels in the body, as the API requires.
+ */
+function fetchForecast(config, position) {
+  return axios.post(`${baseUrl(config)}/api/point-forecast/v2`, {
+    lat: Number(position.latitude.toFixed(3)),
+    lon: Number(position.longitude.toFixed(3)),
+    model: config.model || DEFAULT_MODEL,
+    parameters: ['wind', 'windGust', 'pressure', 'temp'],
+    levels: ['surface'],
+    key: config.apiKey
+  }, {
+    headers: { 'Content-Type': 'application/json' },
+    timeout: (config.requestTimeout || DEFAULT_TIMEOUT) * 1000
+  });
+}
+
+// Forecast value of one field at forecast step i, in observation units, or null
+function valueAt(data, field, i) {
+  const values = FIELDS[field].series.map(name => (Array.isArray(data[name]) ? data[name][i] : null));
+  if (!values.every(v => typeof v === 'number' && Number.isFinite(v))) return null;
+  if (field === 'wind') return Math.sqrt(values[0] * values[0] + values[1] * values[1]);
+  if (field === 'temp') return values[0] - 273.15;
+  return values[0];
+}
+
+/**
+ * Forecast values at `time` (ms), linearly interpolated between the forecast steps
+ * either side of it, as { wind, gust, pressure, temp } in observation units. A field
+ * the forecast lacks is omitted. Returns null when `time` is outside the forecast.
+ */
+function forecastAt(data, time) {
+  const ts = data && Array.isArray(data.ts) ? data.ts : [];
+  const next = ts.findIndex(t => t >= time);
+  if (next === -1 || (next === 0 && ts[0] !== time)) return null;
+  const prev = ts[next] === time ? next : next - 1;
+  const weight = prev === next ? 0 : (time - ts[prev]) / (ts[next] - ts[prev]);
+
+  const forecast = {};
+  Object.keys(FIELDS).forEach(field => {
+    const a = valueAt(data, field, prev);
+    const b = valueAt(data, field, next);
+    if (a !== null && b !== null) forecast[field] = round(field, a + (b - a) * weight);
+  });
+  return forecast;
+}
+
+/**
+ * Observed minus forecast for each field present in both. `observed` is the
+ * observation payload as sent to Windy (numbers as strings).
+ */
+function compare(observed, forecast) {
+  const delta = {};
+  Object.keys(FIELDS).forEach(field => {
+    const value = observed[field] === undefined ? NaN : Number(observed[field]);
+    if (Number.isFinite(value) && forecast[field] !== undefined) delta[field] = round(field, value - forecast[field]);
+  });
+  return delta;
+}
+
+/**
+ * Mean difference of each field over `entries` (each with a `delta`), as
+ * { <field>: { mean, count } }. Fields never compared are omitted.
+ */
+function bias(entries) {
+  const sums = {};
+  entries.forEach(entry => Object.keys(entry.delta || {}).forEach(field => {
+    const sum = sums[field] = sums[field] || { total: 0, count: 0 };
+    sum.total += entry.delta[field];
+    sum.count++;
+  }));
+  const result = {};
+  Object.keys(sums).forEach(field => {
+    result[field] = { mean: round(field, sums[field].total / sums[field].count), count: sums[field].count };
+  });
+  return result;
+}
+
+function round(field, value) {
+  // + 0 turns a rounded -0 into 0
+  return Number(value.toFixed(FIELDS[field].decimals)) + 0;
+}
+
+module.exports = { fetchForecast, forecastAt, compare, bias, DEFAULT_BASE_URL, DEFAULT_MODEL };
@@ -0,0 +1,154 @@
+/*
+ * Signal K Windy API v2 Reporter - Observation history
+ *
+ * Copyright (C) 2026 Peter Petrik
+ *
+ * SPDX-License-Identifier: GPL-3.0-or-later
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./state');
+
+/**
+ * Rolling on-disk history of every observation the plugin attempted, for reconciling
+ * gaps on the Windy station page and handing weather logs to the crew after a passage.
+ *
+ * The file holds one JSON entry per line and each attempt appends one line, so a
+ * write stays small however long the history is, and a power cut can at most tear the
+ * last line (which is skipped on load). Entries older than the retention period are
+ * dropped on load, and the file is rewritten without them about once a day.
+ *
+ * An entry is:
+ *   { ts, station, lat, lon, payload, put, outcome, status, error }
+ * ts is the observation time (Unix seconds, as sent to Windy), lat/lon the vessel
+ * position at the time (null when unknown), payload the Windy parameters, put the
+ * result of a position update sent with it ({ ok, status }, or null when none was
+ * needed), and outcome one of 'sent', 'rate limited', 'queued', 'failed' or
+ * 'replayed' (a queued observation delivered later).
+ */
+
+// Windy observation parameters, in the column order of the CSV export
+const WEATHER_FIELDS = ['wind', 'gust', 'winddir', 'temp', 'pressure', 'rh', 'dewpoint', 'uv', 'solarradiation', 'precip'];
+
+const DAY_MS = 24 * 3600000;
+
+/**
+ * Creates the store for `file`. `now` returns the plugin clock's time, and `onError`
+ * receives messages about unreadable lines and failed writes.
+ */
+function createHistoryStore({ file, retentionDays, now, onError }) {
+  const retentionMs = retentionDays * DAY_MS;
+  let entries = [];
+
+  const cutoff = () => (now() - retentionMs) / 1000;
+
+  // The data directory may not exist yet on a fresh install
+  function ensureDir() {
+    const dir = path.dirname(file);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  }
+
+  function rewrite() {
+    try {
+      ensureDir();
+      writeFileAtomic(file, entries.map(e => JSON.stringify(e) + '\n').join(''));
+    } catch (e) { onError(`Failed to rewrite observation history: ${e.message}`); }
+  }
+
+  return {
+    load() {
+      entries = [];
+      if (!fs.existsSync(file)) return;
+      let skipped = 0;
+      fs.readFileSync(file, 'utf8').split('\n').forEach(line => {
+        if (!line.trim()) return;
+        try {
+          const entry = JSON.parse(line);
+          if (typeof entry.ts === 'number') entries.push(entry);
+          else skipped++;
+        } catch (e) { skipped++; }
+      });
+      if (skipped) onError(`Skipped ${skipped} unreadable line(s) in the observation history`);
+      const before = entries.length;
+      entries = entries.filter(e => e.ts >= cutoff());
+      if (skipped || entries.length < before) rewrite();
+    },
+
+    append(entry) {
+      entries.push(entry);
+      // Expired entries are trimmed once they are a day past the retention period,
+      // so the file is rewritten about daily rather than on every append
+      if (entries[0].ts < cutoff() - DAY_MS / 1000) {
+        entries = entries.filter(e => e.ts >= cutoff());
+        rewrite();
+        return;
+      }
+      try {
+        ensureDir();
+        fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+      } catch (e) { onError(`Failed to write observation history: ${e.message}`); }
+    },
+
+    // Entries within the retention period, oldest first, optionally filtered by
+    // station and by observation time (Unix ms, inclusive)
+    query({ station, from, to } = {}) {
+      return entries.filter(e => e.ts >= cutoff() &&
+        (!station || e.station === station) &&
+        (from === undefined || e.ts * 1000 >= from) &&
+        (to === undefined || e.ts * 1000 <= to));
+    }
+  };
+}
+
+// Quotes a CSV field when it contains a separator, quote or line break (RFC 4180)
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One row per entry, with the observation in Windy's units (m/s, °C, Pa, %, mm).
+ */
+function toCsv(entries) {
+  const header = ['time', 'station', 'latitude', 'longitude', ...WEATHER_FIELDS, 'position_update', 'outcome', 'status', 'error'];
+  const rows = entries.map(e => [
+    new Date(e.ts * 1000).toISOString(),
+    e.station,
+    e.lat,
+    e.lon,
+    ...WEATHER_FIELDS.map(field => (e.payload || {})[field]),
+    e.put ? (e.put.ok ? 'sent' : 'failed') : '',
+    e.outcome,
+    e.status,
+    e.error
+  ].map(csvField).join(','));
+  return [header.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+/**
+ * A FeatureCollection with one Point per entry that has a position, in time order,
+ * so the points trace the vessel track. Properties carry the observation and outcome.
+ */
+function toGeoJson(entries) {
+  return {
+    type: 'FeatureCollection',
+    features: entries
+      .filter(e => typeof e.lat === 'number' && typeof e.lon === 'number')
+      .map(e => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [e.lon, e.lat] },
+        properties: {
+          time: new Date(e.ts * 1000).toISOString(),
+          station: e.station,
+          ...e.payload,
+          positionUpdate: e.put ? e.put.ok : null,
+          outcome: e.outcome,
+          status: e.status
+        }
+      }))
+  };
+}
+
+module.exports = { createHistoryStore, toCsv, toGeoJson, WEATHER_FIELDS };
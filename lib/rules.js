@@ -0,0 +1,64 @@
+/*
+ * Signal K Windy API v2 Reporter - Reporting rule geometry and time windows
+ *
+ * Copyright (C) 2026 Peter Petrik
+ *
+ * SPDX-License-Identifier: GPL-3.0-or-later
+ */
+
+/**
+ * Parses a polygon entered as one "latitude, longitude" pair per line (decimal
+ * degrees; semicolons also separate points, so a single line works too). Returns an
+ * array of { lat, lon }, or null for blank input. Throws on malformed input, naming
+ * the offending point, so a typo is reported instead of silently disabling the rule.
+ */
+function parsePolygon(text) {
+  if (!text || !String(text).trim()) return null;
+  const points = String(text).split(/[\n;]/).map(s => s.trim()).filter(Boolean).map(entry => {
+    const parts = entry.split(/[\s,]+/).map(Number);
+    if (parts.length !== 2 || !parts.every(Number.isFinite) || Math.abs(parts[0]) > 90 || Math.abs(parts[1]) > 180) {
+      throw new Error(`"${entry}" is not a "latitude, longitude" point`);
+    }
+    return { lat: parts[0], lon: parts[1] };
+  });
+  if (points.length < 3) throw new Error('a polygon needs at least three points');
+  return points;
+}
+
+/**
+ * Ray-casting point-in-polygon test on plain latitude/longitude. Accurate enough for
+ * territorial waters and harbour outlines, which do not cross the antimeridian.
+ */
+function pointInPolygon(point, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.lat > point.lat) !== (b.lat > point.lat) &&
+        point.lon < (b.lon - a.lon) * (point.lat - a.lat) / (b.lat - a.lat) + a.lon) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// "HH:MM" to minutes after midnight, or null when malformed
+function parseClockTime(text) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(text || '').trim());
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * True when `minutes` (after midnight) falls in the window from start to end ("HH:MM",
+ * start inclusive, end exclusive). A window whose end is before its start spans
+ * midnight, e.g. 22:00 to 06:00. Malformed or empty windows never match.
+ */
+function inTimeWindow(minutes, start, end) {
+  const from = parseClockTime(start);
+  const to = parseClockTime(end);
+  if (from === null || to === null || from === to) return false;
+  return from < to ? minutes >= from && minutes < to : minutes >= from || minutes < to;
+}
+
+module.exports = { parsePolygon, pointInPolygon, parseClockTime, inTimeWindow };
@@ -0,0 +1,87 @@
+/*
+ * Signal K Windy API v2 Reporter - State file format
+ *
+ * Copyright (C) 2026 Peter Petrik
+ *
+ * SPDX-License-Identifier: GPL-3.0-or-later
+ */
+
+const fs = require('fs');
+
+/**
+ * Versioned format of state.json and crash-safe file writes.
+ *
+ * Boats lose power without warning, so the files in the plugin's data directory must
+ * survive a write being cut off at any point. Every write goes to a temporary file that
+ * is flushed to disk and then renamed over the old one; a rename is atomic, so the file
+ * is always either the previous or the new version, never a mix.
+ *
+ * state.json carries a schema version. Older files are upgraded on load by the
+ * migrations below, one version at a time, so a file from any earlier release can be
+ * read. A new optional field in a station section does not change the version, so an
+ * older release can still read the file. Version history:
+ *   1 - v1.5 and earlier: one flat object holding the single station's state
+ *   2 - { version, stations: { <Station ID>: { ...state } } }; lastSentShare (absent
+ *       means not yet known) and forecastHistory (absent means empty) in a section
+ *       are optional
+ */
+const STATE_VERSION = 2;
+
+// Keyed by the version they upgrade from; each returns the next version.
+// `context.primaryKey` is the Station ID of the primary station.
+const MIGRATIONS = {
+  1: (state, context) => ({ version: 2, stations: { [context.primaryKey]: state } })
+};
+
+// Files written before the version field existed are recognised by their shape
+function stateVersion(state) {
+  if (typeof state.version === 'number') return state.version;
+  return state.stations ? 2 : 1;
+}
+
+/**
+ * Upgrades parsed state.json contents to STATE_VERSION. Throws when the contents are
+ * not a state object or come from a newer release, so the caller can set the file
+ * aside rather than misread it. Returns { state, migratedFrom } where migratedFrom is
+ * the original version, or null when no migration was needed.
+ */
+function migrateState(raw, context) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error('not a state object');
+  const original = stateVersion(raw);
+  if (original > STATE_VERSION) throw new Error(`written by a newer plugin release (schema version ${original})`);
+
+  let state = raw;
+  for (let version = original; version < STATE_VERSION; version = state.version) {
+    if (!MIGRATIONS[version]) throw new Error(`no migration from schema version ${version}`);
+    state = MIGRATIONS[version](state, context);
+  }
+  if (!state.stations || typeof state.stations !== 'object') throw new Error('no station sections');
+  return { state, migratedFrom: original === STATE_VERSION ? null : original };
+}
+
+/**
+ * Writes `text` to `file` so that a crash leaves either the old or the new contents.
+ */
+function writeFileAtomic(file, text) {
+  const tmp = `${file}.tmp`;
+  const fd = fs.openSync(tmp, 'w');
+  try {
+    fs.writeSync(fd, text);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Moves an unreadable file aside as <file>.corrupt-<time> so it can be inspected,
+ * and returns the new name. `now` is the plugin clock's time.
+ */
+function preserveCorruptFile(file, now) {
+  const backup = `${file}.corrupt-${new Date(now).toISOString().replace(/[:.]/g, '-')}`;
+  fs.renameSync(file, backup);
+  return backup;
+}
+
+module.exports = { STATE_VERSION, migrateState, writeFileAtomic, preserveCorruptFile };
@@ -0,0 +1,124 @@
+/*
+ * Signal K Windy API v2 Reporter - Unit conversion
+ *
+ * Copyright (C) 2026 Peter Petrik
+ *
+ * SPDX-License-Identifier: GPL-3.0-or-later
+ */
+
+/**
+ * Conversions from the units a Signal K path may declare in meta.units to the Signal K
+ * base unit of each quantity the plugin reports. Signal K paths are in base units by
+ * specification, but derived paths from other plugins often are not (knots, °C, hPa),
+ * and a path override pointing at one would otherwise be reported as if it were.
+ *
+ * Keyed by quantity, then by the declared unit. Common spellings are listed separately
+ * because plugins do not agree on them.
+ */
+const KNOT = 1852 / 3600;
+const celsius = (v) => v + 273.15;
+
+const QUANTITIES = {
+  speed: {
+    base: 'm/s',
+    from: {
+      'm/s': (v) => v,
+      kn: (v) => v * KNOT,
+      kt: (v) => v * KNOT,
+      kts: (v) => v * KNOT,
+      knots: (v) => v * KNOT,
+      'km/h': (v) => v / 3.6,
+      kph: (v) => v / 3.6,
+      mph: (v) => v * 0.44704
+    }
+  },
+  angle: {
+    base: 'rad',
+    from: {
+      rad: (v) => v,
+      deg: (v) => v * Math.PI / 180,
+      '°': (v) => v * Math.PI / 180
+    }
+  },
+  temperature: {
+    base: 'K',
+    from: {
+      K: (v) => v,
+      C: celsius,
+      '°C': celsius,
+      degC: celsius,
+      F: (v) => (v - 32) * 5 / 9 + 273.15,
+      '°F': (v) => (v - 32) * 5 / 9 + 273.15
+    }
+  },
+  pressure: {
+    base: 'Pa',
+    from: {
+      Pa: (v) => v,
+      hPa: (v) => v * 100,
+      mbar: (v) => v * 100,
+      mb: (v) => v * 100,
+      kPa: (v) => v * 1000,
+      bar: (v) => v * 100000,
+      inHg: (v) => v * 3386.389,
+      mmHg: (v) => v * 133.322
+    }
+  },
+  ratio: {
+    base: 'ratio',
+    from: {
+      ratio: (v) => v,
+      '%': (v) => v / 100
+    }
+  },
+  irradiance: {
+    base: 'W/m2',
+    from: {
+      'W/m2': (v) => v,
+      'W/m²': (v) => v,
+      'W/m^2': (v) => v
+    }
+  },
+  // The UV index has no unit; some plugins declare it anyway
+  index: {
+    base: 'index',
+    from: {
+      index: (v) => v,
+      UVI: (v) => v,
+      '': (v) => v
+    }
+  },
+  // Rain gauges: a cumulative counter, or a rate
+  length: {
+    base: 'm',
+    from: {
+      m: (v) => v,
+      mm: (v) => v / 1000
+    }
+  },
+  rate: {
+    base: 'm/s',
+    from: {
+      'm/s': (v) => v,
+      'mm/h': (v) => v / 3600000,
+      'mm/hr': (v) => v / 3600000
+    }
+  }
+};
+
+/**
+ * The function converting `units` of `quantity` to its base unit, or null when the
+ * unit is not known for that quantity.
+ */
+function converter(quantity, units) {
+  const known = QUANTITIES[quantity];
+  const key = String(units).trim();
+  return (known && Object.prototype.hasOwnProperty.call(known.from, key)) ? known.from[key] : null;
+}
+
+// Base unit of a quantity, for messages
+function baseUnit(quantity) {
+  return QUANTITIES[quantity].base;
+}
+
+module.exports = { converter, baseUnit };
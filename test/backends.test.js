@@ -0,0 +1,202 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const net = require('net');
+const cwop = require('../lib/backends/cwop');
+const { createBackend, toImperial } = require('../lib/backends/updateweatherstation');
+const { useHarness, START_TIME, HOME, WARM_UP } = require('./helpers');
+
+let h;
+useHarness(harness => { h = harness; });
+
+// Weather Underground uploads go to the fake server under /wu, every minute
+const settings = () => {
+  const s = h.settings();
+  s.backends.wunderground = { enabled: true, stationId: 'WU1', password: 'wu-secret', interval: 1, baseUrl: `${h.baseUrl}/wu` };
+  return s;
+};
+
+const uploads = () => h.windy.requests.filter(r => r.path === '/wu');
+
+test('other networks send the latest Windy observation once, without reading the sensors again', async () => {
+  h.start(settings());
+  h.set('navigation.position', HOME);
+  // A gust below the wind speed is dropped by the plausibility rules
+  h.set('environment.wind.gust', 3);
+  h.weather();
+  await h.advance(WARM_UP);
+  await h.run(5);
+
+  // One upload per Windy cycle, with the observation's ts and readings
+  const first = (START_TIME + WARM_UP) / 1000;
+  assert.equal(uploads().length, 2);
+  assert.equal(uploads()[0].query.dateutc, new Date(first * 1000).toISOString().slice(0, 19).replace('T', ' '));
+  assert.equal(uploads()[0].query.windspeedmph, '11.2');
+  // The peak gust tracker fills in for the dropped gust, as for Windy
+  assert.equal(uploads()[0].query.windgustmph, '11.2');
+  assert.ok(h.log.debug.includes('Weather Underground: no new observation since the last upload, upload skipped'));
+
+  // The rejected gust is counted once per Windy cycle, not once per upload
+  const status = (await h.request('GET', '/status')).body.stations[0];
+  assert.deepEqual(status.qcRejected, { windGust: 2 });
+  assert.equal(h.windy.observations.filter(r => r.path !== '/wu').length, 2);
+});
+
+// --- updateweatherstation (Weather Underground, PWSweather) ---
+
+const TS = Date.parse('2026-06-01T13:41:00Z') / 1000;
+const CONTEXT = { ts: TS, position: { latitude: 49.058333, longitude: -72.029167 }, software: 'signalk-windy-apiv2', version: '1.5.0' };
+
+// Local stand-in answering every request with `reply` (a string, or false to never answer)
+async function httpStandIn(reply) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(new URL(req.url, 'http://localhost'));
+    if (reply === false) return;
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end(reply);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    requests,
+    url: `http://127.0.0.1:${server.address().port}/update`,
+    close: () => { server.closeAllConnections(); return new Promise(resolve => server.close(resolve)); }
+  };
+}
+
+const wu = createBackend({ id: 'wunderground', name: 'Weather Underground' });
+
+test('toImperial converts the Windy payload to the protocol units', () => {
+  const weather = { winddir: '180', wind: '5.0', gust: '7.5', temp: '20.0', rh: '65', dewpoint: '13.2', pressure: '101325', precip: '2.5', solarradiation: '450', uv: '3' };
+  assert.deepEqual(toImperial(weather, { seaLevelPressure: true }), {
+    winddir: 180, windspeedmph: '11.2', windgustmph: '16.8', tempf: '68.0', humidity: 65,
+    dewptf: '55.8', baromin: '29.92', rainin: '0.10', solarradiation: 450, UV: 3
+  });
+  // Absent fields are left out, and so is a station pressure
+  assert.deepEqual(toImperial({ temp: '-40.0' }), { tempf: '-40.0' });
+  assert.equal(toImperial(weather).baromin, undefined);
+});
+
+test('an accepted upload sends the credentials, dateutc and readings', async (t) => {
+  const server = await httpStandIn('success\n');
+  t.after(server.close);
+  await wu.send({ stationId: 'WU1', password: 'pw', baseUrl: server.url }, { wind: '5.0' }, CONTEXT);
+
+  const query = Object.fromEntries(server.requests[0].searchParams);
+  assert.deepEqual(query, {
+    ID: 'WU1', PASSWORD: 'pw', dateutc: '2026-06-01 13:41:00', windspeedmph: '11.2',
+    softwaretype: 'signalk-windy-apiv2', action: 'updateraw'
+  });
+});
+
+for (const [network, reply] of [
+  ['Weather Underground', 'INVALIDPASSWORDID|Password or key and/or id are incorrect\n'],
+  ['PWSweather', 'ERROR: Unauthorized station id\n']
+]) {
+  test(`a ${network} refusal in a 200 reply is a rejected credential`, async (t) => {
+    const server = await httpStandIn(reply);
+    t.after(server.close);
+    const backend = createBackend({ id: 'test', name: network });
+    const err = await backend.send({ stationId: 'X', password: 'wrong', baseUrl: server.url }, { wind: '5.0' }, CONTEXT)
+      .then(() => assert.fail('upload should be refused'), e => e);
+
+    assert.equal(err.message, `${network} refused the upload: ${reply.trim()}`);
+    const failure = backend.classifyError(err);
+    assert.equal(failure.kind, 'auth');
+    assert.equal(failure.status, 200);
+  });
+}
+
+test('an upload that takes longer than the request timeout is a network failure', async (t) => {
+  const server = await httpStandIn(false);
+  t.after(server.close);
+  const err = await wu.send({ stationId: 'WU1', password: 'pw', baseUrl: server.url, requestTimeout: 0.05 }, { wind: '5.0' }, CONTEXT)
+    .then(() => assert.fail('upload should time out'), e => e);
+  assert.equal(wu.classifyError(err).kind, 'network');
+});
+
+// --- CWOP ---
+
+test('buildPacket formats a positioned APRS weather report', () => {
+  const weather = { winddir: '220', wind: '1.8', gust: '2.2', temp: '25.0', precip: '0', rh: '50', pressure: '101320' };
+  assert.equal(
+    cwop.buildPacket('CW1234', weather, CONTEXT.position, TS, 'signalk-windy-apiv2'),
+    'CW1234>APRS,TCPIP*:@011341z4903.50N/07201.75W_220/004g005t077r000h50b10132signalk-windy-apiv2'
+  );
+});
+
+test('buildPacket marks missing mandatory fields and encodes edge values', () => {
+  // Unknown wind, -5 °F, 100% humidity and luminosity of 1000 W/m² or more
+  const weather = { temp: '-20.6', rh: '100', solarradiation: '1200' };
+  assert.equal(
+    cwop.buildPacket('CW1234', weather, { latitude: -33.5, longitude: 151.25 }, TS, 'x'),
+    'CW1234>APRS,TCPIP*:@011341z3330.00S/15115.00E_.../...g...t-05h00l200x'
+  );
+});
+
+/**
+ * Local APRS-IS stand-in. Greets each client, answers the login line with
+ * `logresp` (or never, when it is null) and records every line it receives.
+ */
+async function aprsStandIn(logresp) {
+  const lines = [];
+  const sockets = [];
+  const server = net.createServer(socket => {
+    sockets.push(socket);
+    socket.setEncoding('utf8');
+    socket.write('# aprsc 2.1.14\r\n');
+    let buffer = '';
+    socket.on('data', chunk => {
+      buffer += chunk;
+      let newline;
+      while ((newline = buffer.indexOf('\n')) >= 0) {
+        const line = buffer.slice(0, newline).trim();
+        buffer = buffer.slice(newline + 1);
+        lines.push(line);
+        if (line.startsWith('user ') && logresp) socket.write(`# logresp ${logresp}\r\n`);
+      }
+    });
+    socket.on('end', () => socket.end());
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    lines,
+    server: `127.0.0.1:${server.address().port}`,
+    close: () => {
+      sockets.forEach(socket => socket.destroy());
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+test('a CWOP upload logs in, sends one packet and disconnects', async (t) => {
+  const aprs = await aprsStandIn('CW1234 unverified, server T2TEST');
+  t.after(aprs.close);
+  const result = await cwop.send({ stationId: 'cw1234', baseUrl: aprs.server }, { temp: '25.0' }, CONTEXT);
+
+  assert.equal(result.status, 'sent');
+  assert.deepEqual(aprs.lines, [
+    'user CW1234 pass -1 vers signalk-windy-apiv2 1.5.0',
+    'CW1234>APRS,TCPIP*:@011341z4903.50N/07201.75W_.../...g...t077signalk-windy-apiv2'
+  ]);
+});
+
+test('an unverified login with a passcode is a rejected credential', async (t) => {
+  const aprs = await aprsStandIn('N0CALL unverified, server T2TEST');
+  t.after(aprs.close);
+  const err = await cwop.send({ stationId: 'N0CALL', password: '12345', baseUrl: aprs.server }, { temp: '25.0' }, CONTEXT)
+    .then(() => assert.fail('upload should be refused'), e => e);
+
+  assert.equal(cwop.classifyError(err).kind, 'auth');
+  assert.equal(aprs.lines.length, 1);
+});
+
+test('a CWOP server that does not answer the login times out after the request timeout', async (t) => {
+  const aprs = await aprsStandIn(null);
+  t.after(aprs.close);
+  const err = await cwop.send({ stationId: 'CW1234', baseUrl: aprs.server, requestTimeout: 0.05 }, { temp: '25.0' }, CONTEXT)
+    .then(() => assert.fail('upload should time out'), e => e);
+
+  assert.equal(err.code, 'ETIMEDOUT');
+  assert.equal(cwop.classifyError(err).kind, 'network');
+});
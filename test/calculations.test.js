@@ -0,0 +1,161 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useHarness, MIN } = require('./helpers');
+
+let h;
+useHarness(harness => { h = harness; });
+
+const SECOND = 1000;
+const RAIN = 'environment.outside.rain.accumulation';
+
+// --- DEW POINT ---
+
+test('calculates the dew point from temperature and humidity', async () => {
+  const query = await h.firstObservation(h.settings(), () => {
+    h.weather({ temp: 273.15 + 20 });
+    h.set('environment.outside.relativeHumidity', 0.5);
+  });
+  // Magnus formula: 20 °C at 50% gives 9.3 °C
+  assert.equal(query.dewpoint, '9.3');
+  assert.equal(query.rh, '50');
+});
+
+test('prefers a dew point sensor over the calculation', async () => {
+  const query = await h.firstObservation(h.settings(), () => {
+    h.weather({ temp: 273.15 + 20 });
+    h.set('environment.outside.relativeHumidity', 0.5);
+    h.set('environment.outside.dewPointTemperature', 273.15 + 8);
+  });
+  assert.equal(query.dewpoint, '8.0');
+});
+
+test('sends no dew point without humidity', async () => {
+  const query = await h.firstObservation(h.settings(), () => h.weather());
+  assert.equal(query.dewpoint, undefined);
+});
+
+// --- PRECIPITATION ---
+
+test('reports the rain of the last hour from a cumulative gauge, across a reset', async () => {
+  await h.firstObservation(h.settings({ pathMap: { precip: RAIN } }), () => h.weather());
+  // The first reading is the baseline, not rain
+  h.set(RAIN, 0.010);
+  await h.run(1);
+  h.set(RAIN, 0.012);
+  await h.run(1);
+  // The counter was reset and has counted 0.5 mm since
+  h.set(RAIN, 0.0005);
+  await h.run(3);
+  assert.equal(h.windy.observations[1].query.precip, '2.5');
+
+  // An hour later the rain has left the window; the gauge still reports
+  for (let i = 0; i < 12; i++) {
+    h.set(RAIN, 0.0005);
+    await h.run(5);
+  }
+  assert.equal(h.windy.observations.at(-1).query.precip, '0.0');
+});
+
+test('integrates a rain rate over time', async () => {
+  await h.firstObservation(h.settings({ pathMap: { precip: RAIN, precipType: 'rate' } }), () => h.weather());
+  // 1 mm/h for ten minutes, reported every minute
+  for (let i = 0; i <= 10; i++) {
+    h.set(RAIN, 0.001 / 3600);
+    await h.run(1);
+  }
+  h.set(RAIN, 0);
+  await h.run(5);
+  assert.equal(h.windy.observations.at(-1).query.precip, '0.2');
+});
+
+test('sends no rain once the gauge goes silent for an hour', async () => {
+  await h.firstObservation(h.settings({ pathMap: { precip: RAIN } }), () => {
+    h.weather();
+    h.set(RAIN, 0.010);
+  });
+  assert.equal(h.windy.observations[0].query.precip, '0.0');
+  await h.run(61);
+  assert.equal(h.windy.observations.at(-1).query.precip, undefined);
+});
+
+// --- AVERAGING AND GUSTS ---
+
+test('averages over the interval, with a vector mean for the direction', async () => {
+  const query = await h.firstObservation(h.settings(), async () => {
+    // 350° and 10° average to north, not south
+    h.weather({ windSpeed: 4, windDir: 350 * Math.PI / 180 });
+    await h.advance(SECOND);
+    h.weather({ windSpeed: 6, windDir: 10 * Math.PI / 180 });
+  });
+  assert.equal(query.wind, '5.0');
+  assert.equal(query.winddir, '0');
+});
+
+test('reports the value at the moment of reporting in instant mode', async () => {
+  const query = await h.firstObservation(h.settings({ aggregation: { averagingMode: 'instant' } }), async () => {
+    h.weather({ windSpeed: 4 });
+    await h.advance(SECOND);
+    h.weather({ windSpeed: 6 });
+  });
+  assert.equal(query.wind, '6.0');
+});
+
+// Four seconds of 5 m/s with a single reading of 14 m/s in the middle
+async function gustyWind() {
+  for (const speed of [5, 5, 14, 5, 5]) {
+    h.weather({ windSpeed: speed });
+    await h.advance(SECOND);
+  }
+}
+
+test('reports the highest 3-second mean wind speed as the gust', async () => {
+  const query = await h.firstObservation(h.settings(), gustyWind);
+  assert.equal(query.gust, '8.0');
+});
+
+test('a gust window of 0 reports the raw maximum', async () => {
+  const query = await h.firstObservation(h.settings({ aggregation: { gustWindow: 0 } }), gustyWind);
+  assert.equal(query.gust, '14.0');
+});
+
+test('the peak gust starts over with each report', async () => {
+  await h.firstObservation(h.settings({ aggregation: { gustWindow: 0 } }), gustyWind);
+  await h.run(5);
+  assert.equal(h.windy.observations[1].query.gust, '5.0');
+});
+
+// --- STALE DATA ---
+
+test('leaves out a field that has not updated within the stale threshold', async () => {
+  await h.firstObservation(h.settings(), () => h.weather());
+  // Only the wind keeps updating
+  for (let i = 0; i < 11; i++) {
+    h.set('environment.wind.speedOverGround', 5);
+    h.set('environment.wind.directionTrue', 1);
+    await h.advance(MIN);
+  }
+  const query = h.windy.observations.at(-1).query;
+  assert.equal(query.temp, undefined);
+  assert.equal(query.wind, '5.0');
+  assert.deepEqual((await h.request('GET', '/status')).body.stations[0].staleFields, ['temp']);
+  assert.match(h.log.status.at(-1), /T:stale/);
+});
+
+test('a per-field stale threshold overrides the global one', async () => {
+  await h.firstObservation(h.settings({ logic: { maxDataAge: 0 }, pathMap: { maxAge: { temp: 3 } } }), () => h.weather());
+  for (let i = 0; i < 5; i++) {
+    h.set('environment.wind.speedOverGround', 5);
+    await h.advance(MIN);
+  }
+  const query = h.windy.observations.at(-1).query;
+  assert.equal(query.temp, undefined);
+  // The global check is off, so the direction is still reported
+  assert.equal(query.winddir, '57');
+});
+
+test('skips the observation when every field is stale', async () => {
+  await h.firstObservation(h.settings(), () => h.weather());
+  await h.advance(15 * MIN);
+  assert.equal(h.windy.observations.length, 2);
+  assert.ok(h.log.debug.includes('Observation skipped, all sensor data stale: windSpeed, windDir, temp'));
+});
@@ -0,0 +1,107 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useHarness, START_TIME, WARM_UP, MIN } = require('./helpers');
+
+let h;
+useHarness(harness => { h = harness; });
+
+// Backoff without jitter, so attempt times are exact
+const settings = (connectivity = {}) => h.settings({ connectivity: { backoffJitter: 0, ...connectivity } });
+
+// Requests as [method, minutes after the first report]
+const timeline = () => h.windy.requests.map(r => [r.call, (r.time - START_TIME - WARM_UP) / MIN]);
+
+test('backs off exponentially while offline and probes before uploading', async () => {
+  h.windy.reply('PUT', { drop: true });
+  h.windy.reply('GET', { drop: true });
+  h.windy.reply('HEAD', { drop: true }, { drop: true });
+  // Without station sync, so the timeline shows only the upload and its probes
+  await h.firstCycle(h.settings({ logic: { syncInterval: 0 }, connectivity: { backoffJitter: 0 } }));
+  await h.run(36);
+
+  assert.deepEqual(timeline().slice(0, 6), [
+    ['PUT', 0], ['GET', 0], // fails: retry at the normal interval
+    ['HEAD', 5], // probe fails: no upload, retry after 10 minutes
+    ['HEAD', 15], // and again after 20
+    ['HEAD', 35], ['PUT', 35] // link is back: full upload
+  ]);
+  assert.equal(h.windy.requests[6].call, 'GET');
+});
+
+test('a station sync that loses the link backs off without uploading', async () => {
+  h.windy.reply('READ', { drop: true });
+  h.windy.reply('HEAD', { drop: true }, { drop: true });
+  await h.firstCycle(settings());
+  await h.run(36);
+
+  assert.deepEqual(timeline().slice(0, 6), [
+    ['READ', 0], // station sync fails: no upload, retry at the normal interval
+    ['HEAD', 5], // probe fails: no upload, retry after 10 minutes
+    ['HEAD', 15], // and again after 20
+    ['HEAD', 35], ['READ', 35], ['PUT', 35] // link is back: sync, then the full upload
+  ]);
+  assert.equal(h.windy.requests[6].call, 'GET');
+});
+
+test('returns to the normal interval after the first success', async () => {
+  h.windy.reply('GET', { drop: true }, { drop: true });
+  await h.firstCycle(settings());
+  await h.run(31);
+
+  const observations = h.windy.observations.map(r => (r.time - START_TIME - WARM_UP) / MIN);
+  // Fails at 0 and 5, succeeds at 15, then every 5 minutes (plus queued replays)
+  assert.deepEqual(observations.slice(0, 3), [0, 5, 15]);
+  assert.ok(observations.includes(20));
+  assert.ok(observations.includes(25));
+});
+
+test('caps the retry delay', async () => {
+  h.windy.reply('GET', { drop: true });
+  h.windy.reply('HEAD', { drop: true }, { drop: true }, { drop: true }, { drop: true });
+  await h.firstCycle(settings({ backoffMax: 15 }));
+  await h.run(60);
+
+  const probes = h.windy.requests.filter(r => r.method === 'HEAD').map(r => (r.time - START_TIME - WARM_UP) / MIN);
+  assert.deepEqual(probes.slice(0, 5), [5, 15, 30, 45, 60]);
+});
+
+test('adds jitter to the retry delay', async () => {
+  h.windy.reply('GET', { drop: true });
+  h.windy.reply('HEAD', { drop: true });
+  await h.firstCycle(settings({ backoffJitter: 50 }));
+  await h.run(30);
+
+  const probes = h.windy.requests.filter(r => r.method === 'HEAD').map(r => r.time - START_TIME - WARM_UP);
+  assert.ok(probes[0] >= 5 * MIN && probes[0] <= 7.5 * MIN, `first retry at ${probes[0]} ms`);
+  assert.ok(probes[1] - probes[0] >= 10 * MIN && probes[1] - probes[0] <= 15 * MIN);
+});
+
+test('shows the retry countdown in the heartbeat and logs only the first failure as an error', async () => {
+  h.windy.reply('GET', { drop: true });
+  h.windy.reply('HEAD', { drop: true });
+  await h.firstCycle(settings());
+  await h.run(6);
+
+  assert.match(h.log.status.at(-1), /^Offline \(retry in 9m00s\)/);
+  assert.equal(h.log.errors.filter(e => e.includes('network')).length, 1);
+  assert.ok(h.log.debug.some(e => e.includes('Windy still unreachable')));
+});
+
+test('reports the connectivity state in the status API', async () => {
+  h.windy.reply('GET', { drop: true });
+  await h.firstCycle(settings());
+
+  const { body } = await h.request('GET', '/status');
+  assert.equal(body.stations[0].online, false);
+  assert.equal(body.stations[0].networkFailures, 1);
+});
+
+test('applies the configured request and probe timeouts', async () => {
+  h.windy.reply('GET', { hang: true });
+  h.windy.reply('HEAD', { hang: true });
+  await h.firstCycle(settings({ requestTimeout: 0.3, probeTimeout: 0.2 }));
+  assert.ok(h.log.errors.some(e => /Observation Error \(network\): timeout/.test(e)));
+
+  await h.run(5);
+  assert.ok(h.log.debug.some(e => /Windy still unreachable \(probe: timeout/.test(e)));
+});
@@ -0,0 +1,92 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useHarness, north, HOME, WARM_UP } = require('./helpers');
+
+const BUOY = { latitude: 50.2, longitude: 14.3 };
+const MET = 'meteo.urn:mrn:imo:mmsi:002655500:366097';
+const BUDDY = 'vessels.urn:mrn:imo:mmsi:230123456';
+
+let h;
+useHarness(harness => { h = harness; });
+
+// The primary station reports this vessel, and one additional station the given context
+function settings(context, { pathMap, rules } = {}) {
+  return h.settings({
+    logic: { syncInterval: 0 },
+    stations: [{ context, credentials: { stationId: 'OTHER', stationPassword: 'other' }, pathMap }],
+    rules
+  });
+}
+
+// An AIS met/hydro station: mean wind rather than wind over ground
+function metReport({ windSpeed = 8, windDir = 2, temp = 285 } = {}) {
+  h.setIn(MET, 'environment.wind.averageSpeed', windSpeed);
+  h.setIn(MET, 'environment.wind.directionTrue', windDir);
+  h.setIn(MET, 'environment.outside.temperature', temp);
+}
+
+const putsFor = (id) => h.windy.puts.filter(r => r.path === `/api/v2/pws/${id}`);
+const observationsFor = (id) => h.windy.observations.filter(r => r.query.id === id);
+
+test('reports another context to its own station, from its own position and paths', async () => {
+  h.start(settings(MET, { pathMap: { windSpeed: 'environment.wind.averageSpeed' } }));
+  h.set('navigation.position', HOME);
+  h.weather();
+  h.setIn(MET, 'navigation.position', BUOY);
+  metReport();
+  await h.advance(WARM_UP);
+
+  assert.equal(putsFor('TEST')[0].body.lat, 50);
+  assert.equal(putsFor('OTHER')[0].body.lat, 50.2);
+  assert.equal(putsFor('OTHER')[0].body.lon, 14.3);
+  assert.equal(observationsFor('TEST')[0].query.wind, '5.0');
+  assert.equal(observationsFor('TEST')[0].query.temp, '16.9');
+  assert.equal(observationsFor('OTHER')[0].query.wind, '8.0');
+  assert.equal(observationsFor('OTHER')[0].query.temp, '11.9');
+
+  const status = (await h.request('GET', '/status')).body.stations;
+  assert.deepEqual(status.map(s => s.context), ['vessels.self', MET]);
+});
+
+test('keeps a separate movement guard for each context', async () => {
+  h.start(settings(BUDDY));
+  h.set('navigation.position', HOME);
+  h.setIn(BUDDY, 'navigation.position', north(HOME, 2000));
+  h.weather();
+  await h.advance(WARM_UP);
+  assert.equal(putsFor('TEST').length, 1);
+  assert.equal(putsFor('OTHER').length, 1);
+
+  // The buddy boat sails off while this vessel stays on its mooring
+  h.setIn(BUDDY, 'navigation.position', north(HOME, 2500));
+  await h.nextCycle();
+  assert.equal(putsFor('TEST').length, 1);
+  assert.equal(putsFor('OTHER').length, 2);
+  assert.equal(putsFor('OTHER')[1].body.lat, Number(north(HOME, 2500).latitude.toFixed(5)));
+});
+
+test('evaluates position-based reporting rules at each station\'s own position', async () => {
+  const rules = { geofences: [{ name: 'Home marina', latitude: 50, longitude: 14, radius: 300 }] };
+  h.start(settings(MET, { rules }));
+  h.set('navigation.position', HOME);
+  h.weather();
+  h.setIn(MET, 'navigation.position', BUOY);
+  h.setIn(MET, 'environment.wind.speedOverGround', 8);
+  metReport();
+  await h.advance(WARM_UP);
+
+  assert.equal(observationsFor('TEST').length, 0);
+  assert.equal(observationsFor('OTHER').length, 1);
+});
+
+test('sends no observation for a context that publishes nothing', async () => {
+  await h.firstCycle(settings(BUDDY));
+  assert.equal(observationsFor('TEST').length, 1);
+  assert.equal(h.windy.requests.filter(r => r.path.endsWith('OTHER') || r.query.id === 'OTHER').length, 0);
+});
+
+test('refuses a context that is not a Signal K context', async () => {
+  await h.firstCycle(settings('urn:mrn:imo:mmsi:230123456'));
+  assert.equal(h.log.errors[0], 'Station OTHER: "urn:mrn:imo:mmsi:230123456" is not a Signal K context (e.g. meteo.urn:mrn:imo:mmsi:002655500:366097); not reporting it');
+  assert.equal((await h.request('GET', '/status')).body.stations.length, 1);
+});
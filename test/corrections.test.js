@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useHarness } = require('./helpers');
+
+let h;
+useHarness(harness => { h = harness; });
+
+const settings = (corrections, identity = {}) => h.settings({ corrections, identity });
+
+test('applies the calibration of each field in the units shown in the configuration', async () => {
+  const calibration = {
+    windSpeed: { scale: 1.1 },
+    windDir: { offset: 10 },
+    temp: { offset: -1.5 },
+    humidity: { scale: 1.1 }
+  };
+  const query = await h.firstObservation(settings({ calibration }), () => {
+    h.weather({ windSpeed: 5, windDir: 1, temp: 273.15 + 20 });
+    h.set('environment.outside.relativeHumidity', 0.95);
+  });
+  assert.equal(query.wind, '5.5');
+  assert.equal(query.gust, '5.5');
+  assert.equal(query.winddir, '67');
+  assert.equal(query.temp, '18.5');
+  // Humidity is capped at 100%
+  assert.equal(query.rh, '100');
+  assert.ok(h.log.debug.some(m => m.startsWith('Corrections (raw → corrected): windSpeed 5.00 → 5.50 m/s')));
+});
+
+test('normalizes wind to 10 m with the logarithmic profile', async () => {
+  const query = await h.firstObservation(settings({ normalizeWind: true }, { agl_wind: 20 }), () => h.weather({ windSpeed: 5 }));
+  assert.equal(query.wind, '4.7');
+  assert.equal(query.gust, '4.7');
+  // The station record then gives the reference height
+  assert.equal(h.windy.puts[0].body.agl_wind, 10);
+});
+
+test('normalizes wind with the power law', async () => {
+  const corrections = { normalizeWind: true, windProfile: 'power' };
+  const query = await h.firstObservation(settings(corrections, { agl_wind: 20 }), () => h.weather({ windSpeed: 5 }));
+  assert.equal(query.wind, '4.6');
+});
+
+test('leaves wind at the sensor height unless normalization is on', async () => {
+  const query = await h.firstObservation(settings({}, { agl_wind: 20 }), () => h.weather({ windSpeed: 5 }));
+  assert.equal(query.wind, '5.0');
+  assert.equal(h.windy.puts[0].body.agl_wind, 20);
+});
+
+test('reduces station pressure to sea level', async () => {
+  const query = await h.firstObservation(settings({ reducePressure: true, baroHeight: 10 }), () => {
+    h.weather({ temp: 290 });
+    h.set('environment.outside.pressure', 101325);
+  });
+  // About 0.12 hPa per metre at this temperature
+  assert.equal(query.pressure, '101444');
+});
@@ -0,0 +1,118 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useHarness, START_TIME, HOME, WARM_UP, INTERVAL } = require('./helpers');
+const { forecastAt, compare, bias } = require('../lib/forecast');
+
+const HOUR = 3600000;
+const FIRST_REPORT = START_TIME + WARM_UP;
+
+let h;
+useHarness(harness => { h = harness; });
+
+// Forecast steps an hour either side of the first report, so it falls exactly between
+// them: wind 2 → 4 m/s from the north, gust 3 → 5 m/s, 15 °C, 1011 → 1013 hPa
+const FORECAST = {
+  ts: [FIRST_REPORT - HOUR, FIRST_REPORT + HOUR],
+  units: { 'wind_u-surface': 'm*s-1', 'wind_v-surface': 'm*s-1', 'gust-surface': 'm*s-1', 'temp-surface': 'K', 'pressure-surface': 'Pa' },
+  'wind_u-surface': [0, 0],
+  'wind_v-surface': [-2, -4],
+  'gust-surface': [3, 5],
+  'temp-surface': [288.15, 288.15],
+  'pressure-surface': [101100, 101300]
+};
+
+const settings = (config = {}) => h.settings({
+  forecast: { enabled: true, apiKey: 'point', baseUrl: h.baseUrl, ...config }
+});
+
+async function start(config, data = FORECAST) {
+  h.windy.forecast = data;
+  h.start(settings(config));
+  h.set('navigation.position', HOME);
+  h.weather();
+  h.set('environment.outside.pressure', 101500);
+  await h.advance(WARM_UP);
+}
+
+test('compares each accepted observation with the forecast for the same time and place', async () => {
+  await start();
+  assert.deepEqual(h.windy.requests.map(r => r.call), ['READ', 'PUT', 'GET', 'FORECAST']);
+  const request = h.windy.forecasts[0].body;
+  assert.deepEqual(request, {
+    lat: 50, lon: 14, model: 'gfs', parameters: ['wind', 'windGust', 'pressure', 'temp'], levels: ['surface'], key: 'point'
+  });
+
+  const check = (await h.request('GET', '/forecast')).body.stations[0].entries[0];
+  assert.deepEqual(check.forecast, { wind: 3, gust: 4, pressure: 101200, temp: 15 });
+  // Observed 5.0 m/s, 16.9 °C and 1015 hPa: the forecast is running light and cold
+  assert.deepEqual(check.delta, { wind: 2, gust: 1, pressure: 300, temp: 1.9 });
+  assert.ok(h.log.debug.includes('Forecast check (observed - forecast): wind +2, gust +1, pressure +300, temp +1.9'));
+
+  await h.advance(1000);
+  assert.equal(h.published('plugins.windy.forecast.difference.windSpeed'), 2);
+  assert.equal(h.published('plugins.windy.forecast.bias.temperature'), 1.9);
+});
+
+test('keeps a rolling bias over the bias window, across restarts', async () => {
+  await start({ windowHours: 1 }, {
+    ...FORECAST, ts: [START_TIME, START_TIME + 12 * HOUR], 'wind_v-surface': [-3, -3]
+  });
+  for (let i = 0; i < 18; i++) {
+    // Alternately 1 and 3 m/s above a 3 m/s forecast
+    h.weather({ windSpeed: i % 2 ? 6 : 4 });
+    await h.advance(INTERVAL);
+  }
+  let forecast = (await h.request('GET', '/forecast')).body;
+  assert.equal(forecast.windowHours, 1);
+  const entries = forecast.stations[0].entries;
+  // Reports every 5 minutes: the last hour holds 13 of them, the oldest exactly an hour ago
+  assert.equal(entries.length, 13);
+  assert.equal(entries[0].ts * 1000, h.clock.now() - HOUR);
+  assert.equal(forecast.stations[0].bias.wind.count, entries.length);
+  assert.ok(Math.abs(forecast.stations[0].bias.wind.mean - 2) <= 0.1);
+
+  h.restart(settings({ windowHours: 1 }));
+  forecast = (await h.request('GET', '/forecast')).body;
+  assert.equal(forecast.stations[0].entries.length, entries.length);
+  assert.deepEqual((await h.request('GET', '/status')).body.stations[0].forecastBias, forecast.stations[0].bias);
+  const saved = JSON.parse(fs.readFileSync(path.join(h.dataDir, 'state.json'), 'utf8'));
+  assert.equal(saved.stations.TEST.forecastHistory.length, entries.length);
+});
+
+test('a rejected key is reported once and never holds up observations', async () => {
+  h.windy.reply('FORECAST', ...Array(3).fill({ status: 400, body: { message: 'Invalid API key' } }));
+  await start();
+  for (let i = 0; i < 2; i++) {
+    h.weather();
+    await h.advance(INTERVAL);
+  }
+  assert.equal(h.windy.observations.length, 3);
+  assert.deepEqual(h.log.errors, ['Point Forecast API error (400): Invalid API key']);
+  assert.equal((await h.request('GET', '/forecast')).body.stations[0].error, 'Point Forecast API error (400): Invalid API key');
+
+  await h.nextCycle();
+  assert.equal((await h.request('GET', '/forecast')).body.stations[0].error, null);
+});
+
+test('stays off without a Point Forecast API key', async () => {
+  await start({ apiKey: '' });
+  assert.deepEqual(h.log.errors, ['Forecast verification is enabled but has no Point Forecast API Key; not verifying']);
+  assert.equal(h.windy.forecasts.length, 0);
+  assert.equal((await h.request('GET', '/forecast')).status, 404);
+  assert.equal((await h.request('GET', '/status')).body.stations[0].forecastBias, null);
+});
+
+test('interpolates the forecast and compares only the fields both sides have', () => {
+  assert.equal(forecastAt(FORECAST, FIRST_REPORT - 2 * HOUR), null);
+  assert.equal(forecastAt(FORECAST, FIRST_REPORT + 2 * HOUR), null);
+  assert.deepEqual(forecastAt(FORECAST, FIRST_REPORT + HOUR), { wind: 4, gust: 5, pressure: 101300, temp: 15 });
+  assert.deepEqual(forecastAt({ ts: FORECAST.ts, 'temp-surface': [283.15, 293.15] }, FIRST_REPORT + HOUR / 2), { temp: 17.5 });
+
+  assert.deepEqual(compare({ wind: '2.0', winddir: '90', temp: '15.0' }, { wind: 3, gust: 4, temp: 15 }), { wind: -1, temp: 0 });
+  assert.deepEqual(bias([{ delta: { wind: 1, temp: 0.5 } }, { delta: { wind: 2 } }]), {
+    wind: { mean: 1.5, count: 2 },
+    temp: { mean: 0.5, count: 1 }
+  });
+});
@@ -0,0 +1,291 @@
+/*
+ * Signal K Windy API v2 Reporter - Test helpers
+ *
+ * Copyright (C) 2026 Peter Petrik
+ *
+ * SPDX-License-Identifier: GPL-3.0-or-later
+ */
+
+const { beforeEach, afterEach } = require('node:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const axios = require('axios');
+const { createVirtualClock } = require('../lib/clock');
+const createPlugin = require('..');
+
+const START_TIME = Date.parse('2026-06-01T10:00:00Z');
+
+// Where the vessel lies unless a test moves it, the plugin's warm-up before the first
+// report, and the default reporting interval
+const HOME = { latitude: 50, longitude: 14 };
+const WARM_UP = 15000;
+const MIN = 60000;
+const INTERVAL = 5 * MIN;
+
+// Requests the plugin has sent and not yet had an answer to, across all harnesses.
+// The virtual clock waits for these before firing the next timer (see settle).
+let inFlight = 0;
+axios.interceptors.request.use(config => { inFlight++; return config; });
+axios.interceptors.response.use(
+  response => { inFlight--; return response; },
+  err => { inFlight--; return Promise.reject(err); }
+);
+
+async function settle() {
+  do {
+    await new Promise(resolve => setImmediate(resolve));
+    if (inFlight > 0) await new Promise(resolve => setTimeout(resolve, 2));
+  } while (inFlight > 0);
+}
+
+/**
+ * Local stand-in for stations.windy.com and the Point Forecast API. Every request is
+ * recorded with the time on `now` and its `call`: 'READ' for a read of the station
+ * record, 'FORECAST' for a point forecast request, otherwise the method.
+ * The reply comes from the next scripted response for the call, or when none is left
+ * 200 with the station record for a READ, 200 with `forecast` for a FORECAST and 200 {}
+ * otherwise. A scripted response is { status, body }, { drop: true } to reset the
+ * connection, { hang: true } to never answer, or a function of the request. Accepted
+ * PUTs are merged into the record, which starts out as `station` (empty by default).
+ */
+function createWindyServer(now) {
+  const requests = [];
+  const scripts = { READ: [], FORECAST: [], GET: [], PUT: [], HEAD: [] };
+  const hanging = [];
+  let station = {};
+  let forecast = {};
+  const server = http.createServer((req, res) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const read = req.method === 'GET' && url.pathname.startsWith('/api/v2/pws/');
+      const point = req.method === 'POST' && url.pathname === '/api/point-forecast/v2';
+      const request = {
+        call: read ? 'READ' : point ? 'FORECAST' : req.method,
+        method: req.method,
+        time: now(),
+        path: url.pathname,
+        query: Object.fromEntries(url.searchParams),
+        headers: req.headers,
+        body: data ? JSON.parse(data) : null
+      };
+      requests.push(request);
+      let reply = (scripts[request.call] || []).shift() || { status: 200, body: read ? station : point ? forecast : {} };
+      if (typeof reply === 'function') reply = reply(request);
+      if (reply.drop) return req.socket.destroy();
+      if (reply.hang) return hanging.push(req.socket);
+      if (req.method === 'PUT' && reply.status < 300) station = { ...station, ...request.body };
+      res.writeHead(reply.status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(reply.body === undefined ? {} : reply.body));
+    });
+  });
+
+  return {
+    requests,
+    get observations() { return requests.filter(r => r.call === 'GET'); },
+    get puts() { return requests.filter(r => r.method === 'PUT'); },
+    get reads() { return requests.filter(r => r.call === 'READ'); },
+    get station() { return station; },
+    set station(record) { station = record; },
+    get forecasts() { return requests.filter(r => r.call === 'FORECAST'); },
+    get forecast() { return forecast; },
+    set forecast(body) { forecast = body; },
+    reply(call, ...responses) { scripts[call].push(...responses); },
+    listen: () => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`))),
+    close: () => new Promise(resolve => {
+      hanging.forEach(socket => socket.destroy());
+      server.close(resolve);
+    })
+  };
+}
+
+/**
+ * Mock Signal K server with a virtual clock and a fake Windy server.
+ *
+ *   set(path, value, source) - updates the self tree and delivers the delta to the plugin
+ *   setIn(context, path, value, source) - the same for another context, e.g. an AIS met station
+ *   start(settings)     - starts a new plugin instance against the fake server
+ *   units(path, units)  - sets the path's meta.units
+ *   published(path)     - the last value the plugin published to a Signal K path
+ *   weather(values)     - publishes fresh wind and temperature readings (SI units)
+ *   advance(ms)         - moves the clock, firing due timers and awaiting their requests
+ *   firstCycle(settings, position) - starts at `position` (HOME) and runs the first report
+ *   firstObservation(settings, sensors) - starts at HOME, runs `sensors()` (which may
+ *                         advance a few seconds) instead of weather() and resolves with
+ *                         the query of the first observation
+ *   nextCycle(position) - optionally moves the vessel, then runs the next report
+ *   run(minutes)        - advances in one-minute steps with fresh sensor data
+ *   request(m, route, q) - calls a plugin HTTP route with a mock Express response
+ *   restart(settings)   - stops the plugin and starts a fresh instance on the same data dir
+ */
+async function createHarness() {
+  const clock = createVirtualClock({ start: START_TIME, settle });
+  const windy = createWindyServer(() => clock.now());
+  const baseUrl = await windy.listen();
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'windy-test-'));
+  const tree = {};
+  // Trees of other contexts, keyed by context ("meteo.urn:mrn:imo:mmsi:...")
+  const others = {};
+  const log = { status: [], errors: [], pluginErrors: [], debug: [], deltas: [] };
+  // Subscription callbacks by context
+  let subscriptions = {};
+  let routes = {};
+
+  const app = {
+    debug: (msg) => log.debug.push(msg),
+    error: (msg) => log.errors.push(msg),
+    setPluginStatus: (msg) => log.status.push(msg),
+    setPluginError: (msg) => log.pluginErrors.push(msg),
+    getDataDirPath: () => dataDir,
+    getSelfPath: (p) => tree[p],
+    // Full-tree lookup, only for other contexts (the self vessel's key is not "self")
+    getPath: (full) => {
+      const context = Object.keys(others).find(c => full.startsWith(`${c}.`));
+      return context ? others[context][full.slice(context.length + 1)] : undefined;
+    },
+    handleMessage: (id, delta) => log.deltas.push(delta),
+    subscriptionmanager: {
+      subscribe: (command, unsubscribes, onError, callback) => { subscriptions[command.context] = callback; }
+    }
+  };
+
+  const harness = {
+    app, clock, tree, log, windy, dataDir, baseUrl,
+    plugin: null,
+
+    // Defaults: one station, a 5 minute interval and the fake server
+    settings(overrides = {}) {
+      return {
+        credentials: { stationId: 'TEST', stationPassword: 'secret', apiKey: 'key' },
+        identity: {},
+        logic: {},
+        pathMap: {},
+        ...overrides,
+        backends: { windy: { baseUrl } }
+      };
+    },
+
+    start(settings = harness.settings()) {
+      harness.plugin = createPlugin(app, clock);
+      routes = {};
+      subscriptions = {};
+      harness.plugin.registerWithRouter({
+        get: (route, handler) => { routes[`GET ${route}`] = handler; },
+        post: (route, handler) => { routes[`POST ${route}`] = handler; }
+      });
+      harness.plugin.start(settings);
+      return harness.plugin;
+    },
+
+    // Calls a plugin HTTP route and resolves with { status, headers, body }
+    async request(method, route, query = {}) {
+      const response = { status: 200, headers: {}, body: undefined };
+      const res = {
+        status(code) { response.status = code; return res; },
+        set(name, value) { response.headers[name.toLowerCase()] = value; return res; },
+        json(body) { response.body = body; return res; },
+        send(body) { response.body = body; return res; }
+      };
+      await routes[`${method} ${route}`]({ query }, res);
+      return response;
+    },
+
+    restart(settings = harness.settings()) {
+      harness.plugin.stop();
+      return harness.start(settings);
+    },
+
+    // Like the server, the tree keeps the latest value of each $source under `values`
+    set(p, value, source = 'test') {
+      harness.setIn('vessels.self', p, value, source);
+    },
+
+    setIn(context, p, value, source = 'test') {
+      const nodes = context === 'vessels.self' ? tree : (others[context] = others[context] || {});
+      const timestamp = new Date(clock.now()).toISOString();
+      const values = { ...(nodes[p] && nodes[p].values), [source]: { value, timestamp } };
+      nodes[p] = { ...nodes[p], value, timestamp, $source: source, values };
+      if (subscriptions[context]) subscriptions[context]({ context, updates: [{ $source: source, values: [{ path: p, value }] }] });
+    },
+
+    // Last value the plugin published to a Signal K path through handleMessage
+    published(p) {
+      const values = log.deltas.flatMap(d => (d.updates || []).flatMap(u => u.values || [])).filter(v => v.path === p);
+      return values.length ? values[values.length - 1].value : undefined;
+    },
+
+    // Declares the path's meta.units, as a plugin publishing non-SI values would
+    units(p, units) {
+      tree[p] = { ...tree[p], meta: { units } };
+    },
+
+    // Fresh readings for a complete observation, so no field is stale at the next cycle
+    weather({ windSpeed = 5, windDir = 1, temp = 290 } = {}) {
+      harness.set('environment.wind.speedOverGround', windSpeed);
+      harness.set('environment.wind.directionTrue', windDir);
+      harness.set('environment.outside.temperature', temp);
+    },
+
+    advance: (ms) => clock.advanceTo(clock.now() + ms),
+
+    async firstCycle(settings, position = HOME) {
+      harness.start(settings);
+      harness.set('navigation.position', position);
+      harness.weather();
+      await harness.advance(WARM_UP);
+    },
+
+    async firstObservation(settings, sensors) {
+      const start = clock.now();
+      harness.start(settings);
+      harness.set('navigation.position', HOME);
+      await sensors();
+      await harness.advance(start + WARM_UP - clock.now());
+      return windy.observations[0].query;
+    },
+
+    async nextCycle(position) {
+      if (position) harness.set('navigation.position', position);
+      harness.weather();
+      await harness.advance(INTERVAL);
+    },
+
+    // Like a running boat, between and across reports
+    async run(minutes) {
+      for (let i = 0; i < minutes; i++) {
+        harness.weather();
+        await harness.advance(MIN);
+      }
+    },
+
+    async close() {
+      if (harness.plugin) harness.plugin.stop();
+      await windy.close();
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  };
+  return harness;
+}
+
+/**
+ * Gives every test in the calling file a fresh harness, closed after the test.
+ * `onCreate` receives each new harness, e.g. `useHarness(harness => { h = harness; })`.
+ */
+function useHarness(onCreate) {
+  let harness;
+  beforeEach(async () => {
+    harness = await createHarness();
+    onCreate(harness);
+  });
+  afterEach(() => harness.close());
+}
+
+// Position `metres` north of `from` (1° of latitude ≈ 111319 m)
+function north(from, metres) {
+  return { latitude: from.latitude + metres / 111319, longitude: from.longitude };
+}
+
+module.exports = { createHarness, useHarness, north, START_TIME, HOME, WARM_UP, MIN, INTERVAL };
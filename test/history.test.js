@@ -0,0 +1,122 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { useHarness, north, START_TIME, HOME, WARM_UP, INTERVAL } = require('./helpers');
+const { createHistoryStore, toCsv } = require('../lib/history');
+
+const DAY = 24 * 3600000;
+
+let h;
+useHarness(harness => { h = harness; });
+
+const historyFile = () => path.join(h.dataDir, 'history.ndjson');
+
+test('records every observation attempt with its position and outcome', async () => {
+  h.windy.reply('GET', { status: 200 }, { status: 500, body: { message: 'Server error' } });
+  await h.firstCycle();
+  await h.nextCycle(north(HOME, 50));
+
+  const { body } = await h.request('GET', '/history');
+  assert.equal(body.entries.length, 2);
+  const [first, second] = body.entries;
+  assert.equal(first.ts, (START_TIME + WARM_UP) / 1000);
+  assert.equal(first.station, 'TEST');
+  assert.deepEqual([first.lat, first.lon], [50, 14]);
+  assert.deepEqual(first.put, { ok: true, status: 200 });
+  assert.equal(first.outcome, 'sent');
+  assert.equal(first.payload.wind, '5.0');
+
+  assert.equal(second.put, null);
+  assert.equal(second.outcome, 'failed');
+  assert.equal(second.status, 500);
+  assert.deepEqual(second.error, { message: 'Server error' });
+});
+
+test('records rate limited observations', async () => {
+  h.windy.reply('GET', { status: 429, body: {} });
+  await h.firstCycle();
+  const { body } = await h.request('GET', '/history');
+  assert.equal(body.entries[0].outcome, 'rate limited');
+});
+
+test('keeps the history across restarts and drops entries past the retention', async () => {
+  await h.firstCycle(h.settings({ logic: { historyDays: 1 } }));
+  await h.nextCycle();
+  h.restart(h.settings({ logic: { historyDays: 1 } }));
+  assert.equal((await h.request('GET', '/history')).body.entries.length, 2);
+
+  // Past the retention of every entry, including the cycle resumed after the restart
+  await h.advance(DAY + 2 * INTERVAL);
+  h.restart(h.settings({ logic: { historyDays: 1 } }));
+  assert.equal((await h.request('GET', '/history')).body.entries.length, 0);
+  assert.equal(fs.readFileSync(historyFile(), 'utf8'), '');
+});
+
+test('skips a torn last line', async () => {
+  await h.firstCycle();
+  fs.appendFileSync(historyFile(), '{"ts":17');
+  h.restart();
+  assert.equal((await h.request('GET', '/history')).body.entries.length, 1);
+  assert.match(h.log.errors.at(-1), /Skipped 1 unreadable line/);
+});
+
+test('filters by station and time', async () => {
+  await h.firstCycle();
+  await h.nextCycle();
+  await h.nextCycle();
+  const from = new Date(START_TIME + WARM_UP + INTERVAL).toISOString();
+  assert.equal((await h.request('GET', '/history', { from })).body.entries.length, 2);
+  assert.equal((await h.request('GET', '/history', { from, to: from })).body.entries.length, 1);
+  assert.equal((await h.request('GET', '/history', { station: 'OTHER' })).body.entries.length, 0);
+  assert.equal((await h.request('GET', '/history', { from: 'yesterday' })).status, 400);
+});
+
+test('exports CSV', async () => {
+  await h.firstCycle();
+  const response = await h.request('GET', '/history', { format: 'csv' });
+  assert.match(response.headers['content-type'], /^text\/csv/);
+  assert.match(response.headers['content-disposition'], /filename="windy-history\.csv"/);
+  const lines = response.body.trim().split('\r\n');
+  assert.equal(lines[0], 'time,station,latitude,longitude,wind,gust,winddir,temp,pressure,rh,dewpoint,uv,solarradiation,precip,position_update,outcome,status,error');
+  assert.equal(lines[1], '2026-06-01T10:00:15.000Z,TEST,50,14,5.0,5.0,57,16.9,,,,,,,sent,sent,200,');
+});
+
+test('creates the data directory on the first write', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'windy-history-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'data', 'history.ndjson');
+  const errors = [];
+  const store = createHistoryStore({ file, retentionDays: 30, now: () => START_TIME, onError: e => errors.push(e) });
+  store.load();
+  const entry = { ts: START_TIME / 1000, station: 'A', outcome: 'sent' };
+  store.append(entry);
+
+  assert.deepEqual(errors, []);
+  assert.equal(fs.readFileSync(file, 'utf8'), `${JSON.stringify(entry)}\n`);
+});
+
+test('quotes CSV fields that contain separators', () => {
+  const csv = toCsv([{ ts: 0, station: 'A', lat: null, lon: null, payload: {}, put: null, outcome: 'failed', status: 400, error: { message: 'bad, "wrong"' } }]);
+  assert.ok(csv.split('\r\n')[1].endsWith(',failed,400,"{""message"":""bad, \\""wrong\\""""}"'));
+});
+
+test('exports GeoJSON points along the track', async () => {
+  await h.firstCycle();
+  const moved = north(HOME, 500);
+  await h.nextCycle(moved);
+  const response = await h.request('GET', '/history', { format: 'geojson' });
+  assert.equal(response.headers['content-type'], 'application/geo+json');
+  const geojson = JSON.parse(response.body);
+  assert.equal(geojson.type, 'FeatureCollection');
+  assert.deepEqual(geojson.features.map(f => f.geometry.coordinates), [[14, 50], [14, moved.latitude]]);
+  assert.equal(geojson.features[0].properties.time, '2026-06-01T10:00:15.000Z');
+  assert.equal(geojson.features[0].properties.temp, '16.9');
+});
+
+test('returns 404 when the history is disabled', async () => {
+  await h.firstCycle(h.settings({ logic: { historyDays: 0 } }));
+  assert.equal((await h.request('GET', '/history')).status, 404);
+  assert.equal(fs.existsSync(historyFile()), false);
+});
@@ -0,0 +1,109 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useHarness, north, HOME } = require('./helpers');
+
+let h;
+useHarness(harness => { h = harness; });
+
+test('sends the first position before the first observation', async () => {
+  await h.firstCycle();
+  assert.deepEqual(h.windy.requests.map(r => r.call), ['READ', 'PUT', 'GET']);
+  assert.equal(h.windy.puts[0].path, '/api/v2/pws/TEST');
+  assert.equal(h.windy.puts[0].body.lat, 50);
+  assert.equal(h.windy.puts[0].body.lon, 14);
+});
+
+test('retries the first position on the next cycle when it was not accepted', async () => {
+  h.windy.reply('PUT', { status: 500, body: { message: 'Internal error' } });
+  await h.firstCycle();
+  await h.nextCycle();
+  assert.deepEqual(h.windy.requests.map(r => r.call), ['READ', 'PUT', 'GET', 'PUT', 'GET']);
+});
+
+test('does not send the position while the vessel stays inside the movement radius', async () => {
+  await h.firstCycle();
+  await h.nextCycle(north(HOME, 100));
+  await h.nextCycle(north(HOME, 250));
+  assert.equal(h.windy.puts.length, 1);
+  assert.equal(h.windy.observations.length, 3);
+});
+
+test('sends the position once the vessel moves beyond the movement radius', async () => {
+  await h.firstCycle();
+  const moved = north(HOME, 350);
+  await h.nextCycle(moved);
+  assert.equal(h.windy.puts.length, 2);
+  assert.equal(h.windy.puts[1].body.lat, Number(moved.latitude.toFixed(5)));
+
+  // The new position is the baseline for the next cycle
+  await h.nextCycle(north(moved, 100));
+  assert.equal(h.windy.puts.length, 2);
+});
+
+test('honours a custom movement radius', async () => {
+  await h.firstCycle(h.settings({ logic: { minMove: 50 } }));
+  await h.nextCycle(north(HOME, 60));
+  assert.equal(h.windy.puts.length, 2);
+});
+
+test('Force GPS Updates sends the position on every cycle', async () => {
+  await h.firstCycle(h.settings({ logic: { forceUpdate: true } }));
+  await h.nextCycle();
+  await h.nextCycle();
+  assert.deepEqual(h.windy.requests.map(r => r.call), ['READ', 'PUT', 'GET', 'PUT', 'GET', 'PUT', 'GET']);
+});
+
+test('holds the position while swinging at anchor', async () => {
+  h.set('navigation.anchor.position', HOME);
+  await h.firstCycle(h.settings({ logic: { anchorWatch: true, anchorRadius: 400 } }));
+  await h.nextCycle(north(HOME, 350));
+  assert.equal(h.windy.puts.length, 1);
+  assert.equal((await h.request('GET', '/status')).body.stations[0].atAnchor, true);
+
+  // Dragging out of the swing radius sends the position again
+  await h.nextCycle(north(HOME, 450));
+  assert.equal(h.windy.puts.length, 2);
+});
+
+test('shrinks the movement radius with speed over ground', async () => {
+  const settings = h.settings({ logic: { speedScaling: true } });
+  h.set('navigation.speedOverGround', 0);
+  await h.firstCycle(settings);
+  await h.nextCycle(north(HOME, 150));
+  assert.equal(h.windy.puts.length, 1);
+
+  // At the under-way speed of 6 knots the threshold is 100 m
+  h.set('navigation.speedOverGround', 6 * 0.514444);
+  await h.nextCycle(north(HOME, 160));
+  assert.equal((await h.request('GET', '/status')).body.stations[0].moveThreshold, 100);
+  assert.equal(h.windy.puts.length, 2);
+});
+
+test('sends the position after a course change', async () => {
+  h.set('navigation.speedOverGround', 3);
+  h.set('navigation.courseOverGroundTrue', 0);
+  await h.firstCycle(h.settings({ logic: { courseChange: 30 } }));
+  h.set('navigation.courseOverGroundTrue', 20 * Math.PI / 180);
+  await h.nextCycle(north(HOME, 50));
+  assert.equal(h.windy.puts.length, 1);
+
+  h.set('navigation.courseOverGroundTrue', 45 * Math.PI / 180);
+  await h.nextCycle(north(HOME, 100));
+  assert.equal(h.windy.puts.length, 2);
+});
+
+test('updates the position between observations, spaced by the minimum interval', async () => {
+  await h.firstCycle(h.settings({ logic: { betweenCycles: true, minPutInterval: 120 } }));
+  h.set('navigation.position', north(HOME, 350));
+  assert.equal(h.windy.puts.length, 1);
+  await h.advance(60000);
+  h.set('navigation.position', north(HOME, 360));
+  assert.equal(h.windy.puts.length, 1);
+
+  // Two minutes after the last update the next fix sends the position
+  await h.advance(60000);
+  h.set('navigation.position', north(HOME, 370));
+  await h.advance(1000);
+  assert.equal(h.windy.puts.length, 2);
+  assert.equal(h.windy.observations.length, 1);
+});
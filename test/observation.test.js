@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useHarness, START_TIME, HOME, WARM_UP } = require('./helpers');
+
+let h;
+useHarness(harness => { h = harness; });
+
+// Runs the first cycle with the given wind direction (radians) and returns the observation
+async function observeDirection(radians, settings) {
+  h.start(settings);
+  h.set('navigation.position', HOME);
+  h.weather({ windDir: radians });
+  await h.advance(WARM_UP);
+  return h.windy.observations[0].query;
+}
+
+test('reports a direction just below 2π as 0, not 360', async () => {
+  const query = await observeDirection(2 * Math.PI - 0.001);
+  assert.equal(query.winddir, '0');
+});
+
+test('reports a direction just below 2π as 0 without averaging', async () => {
+  const query = await observeDirection(2 * Math.PI - 0.001, h.settings({ aggregation: { averagingMode: 'instant' } }));
+  assert.equal(query.winddir, '0');
+});
+
+test('converts other directions to whole degrees', async () => {
+  const query = await observeDirection(Math.PI);
+  assert.equal(query.winddir, '180');
+});
+
+test('sends the Station Password as a Bearer token, not in the URL', async () => {
+  const query = await observeDirection(1);
+  const request = h.windy.observations[0];
+  assert.equal(request.path, '/api/v2/observation/update');
+  assert.equal(request.headers.authorization, 'Bearer secret');
+  assert.equal(query.id, 'TEST');
+  assert.equal(query.PASSWORD, undefined);
+  assert.equal(query.ts, String(Math.floor((START_TIME + WARM_UP) / 1000)));
+});
+
+test('sends the API Key with the station update', async () => {
+  await observeDirection(1);
+  assert.equal(h.windy.puts[0].headers['windy-api-key'], 'key');
+});
+
+test('converts Signal K units for Windy', async () => {
+  const query = await observeDirection(1);
+  assert.equal(query.wind, '5.0');
+  assert.equal(query.temp, '16.9');
+});
@@ -0,0 +1,115 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useHarness, HOME, WARM_UP } = require('./helpers');
+
+let h;
+useHarness(harness => { h = harness; });
+
+const SECOND = 1000;
+
+const qcRejected = async () => (await h.request('GET', '/status')).body.stations[0].qcRejected;
+
+test('drops readings outside the physical limits', async () => {
+  const query = await h.firstObservation(h.settings(), () => {
+    h.weather({ temp: 273.15 + 75 });
+  });
+  assert.equal(query.temp, undefined);
+  assert.equal(query.wind, '5.0');
+  assert.ok((await qcRejected()).temp > 0);
+  assert.ok(h.log.debug.some(m => m.startsWith('QC rejected temp 348.15: outside limits 213.15 to 333.15')));
+});
+
+test('applies the configured limits', async () => {
+  const query = await h.firstObservation(h.settings({ qc: { windSpeedMax: 20, tempMax: 30 } }), () => {
+    h.weather({ windSpeed: 25, temp: 273.15 + 35 });
+    h.set('environment.outside.pressure', 101300);
+  });
+  assert.equal(query.wind, undefined);
+  assert.equal(query.temp, undefined);
+  assert.equal(query.pressure, '101300');
+});
+
+test('always drops readings that are not a number', async () => {
+  const query = await h.firstObservation(h.settings({ qc: { enabled: false } }), () => {
+    h.set('environment.wind.speedOverGround', 5);
+    h.set('environment.outside.temperature', NaN);
+  });
+  assert.equal(query.temp, undefined);
+  assert.equal((await qcRejected()).temp, 1);
+});
+
+test('keeps out-of-range readings when range and spike checks are off', async () => {
+  const query = await h.firstObservation(h.settings({ qc: { enabled: false } }), () => {
+    h.weather({ temp: 273.15 + 75 });
+  });
+  assert.equal(query.temp, '75.0');
+});
+
+test('drops a spike from the recent median, and accepts a step change that persists', async () => {
+  h.start(h.settings({ aggregation: { gustWindow: 0 } }));
+  h.set('navigation.position', HOME);
+  // Five seconds of steady wind give the spike check its history
+  for (let i = 0; i < 5; i++) {
+    h.weather({ windSpeed: 5 });
+    await h.advance(SECOND);
+  }
+  h.weather({ windSpeed: 25 });
+  await h.advance(WARM_UP - 5 * SECOND);
+
+  let query = h.windy.observations[0].query;
+  assert.equal(query.wind, '5.0');
+  assert.equal(query.gust, '5.0');
+  assert.equal((await qcRejected()).windSpeed, 1);
+  assert.ok(h.log.debug.includes('QC rejected windSpeed 25: spike from recent median 5'));
+
+  // After a minute at the new speed the old readings have left the spike window
+  for (let i = 0; i < 65; i++) {
+    h.weather({ windSpeed: 25 });
+    await h.advance(SECOND);
+  }
+  await h.run(4);
+  query = h.windy.observations[1].query;
+  assert.ok(Number(query.wind) > 5);
+  assert.equal(query.gust, '25.0');
+});
+
+test('only range checks fields that change abruptly by nature', async () => {
+  const query = await h.firstObservation(h.settings(), async () => {
+    for (let i = 0; i < 5; i++) {
+      h.weather({ windDir: 0.1 });
+      await h.advance(SECOND);
+    }
+    h.weather({ windDir: 3 });
+  });
+  // The vector mean of five readings at 0.1 rad (6°) and one at 3 rad (172°)
+  assert.equal(query.winddir, '9');
+  assert.equal((await qcRejected()).windDir, undefined);
+});
+
+test('drops a gust below the wind speed', async () => {
+  const query = await h.firstObservation(h.settings(), () => {
+    h.weather({ windSpeed: 8 });
+    h.set('environment.wind.gust', 6);
+  });
+  // The peak gust tracker fills in from the wind speed
+  assert.equal(query.gust, '8.0');
+  assert.ok(h.log.debug.includes('QC rejected windGust 6.0: below wind speed 8.0'));
+});
+
+test('drops the wind direction when the wind speed is zero', async () => {
+  const query = await h.firstObservation(h.settings(), () => {
+    h.weather({ windSpeed: 0, windDir: 1 });
+  });
+  assert.equal(query.wind, '0.0');
+  assert.equal(query.winddir, undefined);
+});
+
+test('drops a dew point above the air temperature', async () => {
+  const query = await h.firstObservation(h.settings(), () => {
+    h.weather({ temp: 273.15 + 10 });
+    h.set('environment.outside.dewPointTemperature', 273.15 + 12);
+  });
+  assert.equal(query.temp, '10.0');
+  assert.equal(query.dewpoint, undefined);
+  assert.equal((await qcRejected()).dewPoint, 1);
+});
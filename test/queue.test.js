@@ -0,0 +1,132 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useHarness, START_TIME, WARM_UP, MIN, INTERVAL } = require('./helpers');
+
+const HOUR = 60 * MIN;
+const FIRST_TS = (START_TIME + WARM_UP) / 1000;
+
+let h;
+useHarness(harness => { h = harness; });
+
+// Retries without jitter, so attempt times are exact
+const settings = (logic = {}) => h.settings({ logic, connectivity: { backoffJitter: 0 } });
+
+const queued = () => JSON.parse(fs.readFileSync(path.join(h.dataDir, 'queue.json'), 'utf8')).TEST;
+
+// Observation timestamps in the order Windy received them
+const sentTs = () => h.windy.observations.map(r => Number(r.query.ts));
+
+test('queues an observation that failed with a network error', async () => {
+  h.windy.reply('GET', { drop: true });
+  await h.firstCycle(settings());
+
+  assert.deepEqual(queued().map(entry => entry.ts), [FIRST_TS]);
+  assert.equal(queued()[0].weather.wind, '5.0');
+  assert.equal((await h.request('GET', '/status')).body.stations[0].queueLength, 1);
+  assert.equal((await h.request('GET', '/history')).body.entries[0].outcome, 'queued');
+  assert.match(h.log.status.at(-1), / \| Q:1/);
+});
+
+test('replays queued observations with their original ts at the default interval', async () => {
+  h.windy.reply('GET', { drop: true }, { drop: true });
+  await h.firstCycle(settings());
+  // Offline retries after 5 and 10 minutes, the second one gets through
+  await h.run(15);
+  assert.deepEqual(sentTs(), [FIRST_TS, FIRST_TS + 5 * 60, FIRST_TS + 15 * 60]);
+  assert.equal(queued().length, 2);
+
+  // Queued and live observations alternate, each in its own rate-limit window
+  await h.run(20);
+  const fifteen = FIRST_TS + 15 * 60;
+  assert.deepEqual(sentTs().slice(3), [FIRST_TS, fifteen + 10 * 60, FIRST_TS + 5 * 60, fifteen + 20 * 60]);
+  const times = h.windy.observations.map(r => r.time);
+  times.slice(1).forEach((time, i) => assert.ok(time - times[i] >= INTERVAL));
+  assert.deepEqual(queued(), []);
+
+  const outcomes = (await h.request('GET', '/history')).body.entries.map(e => e.outcome);
+  assert.deepEqual(outcomes.filter(o => o === 'replayed').length, 2);
+});
+
+test('replays between live reports when the interval leaves room', async () => {
+  h.windy.reply('GET', { drop: true });
+  await h.firstCycle(settings({ interval: 10 }));
+  await h.run(40);
+
+  // Back online at 10 minutes; the replay follows 5 minutes later, before the live report at 20
+  const minutes = h.windy.observations.map(r => (r.time - START_TIME - WARM_UP) / MIN);
+  assert.deepEqual(minutes.slice(0, 4), [0, 10, 15, 20]);
+  assert.equal(Number(h.windy.observations[2].query.ts), FIRST_TS);
+});
+
+test('a replay in a spare window never takes the place of a live report', async () => {
+  h.windy.reply('GET', { drop: true }, { drop: true });
+  await h.firstCycle(settings({ interval: 10 }));
+  await h.run(55);
+
+  // Back online at 30 minutes: every live report after it is sent on time, and each
+  // queued observation goes out 5 minutes after one. Pairs are [sent, observed] minutes.
+  const sent = h.windy.observations.map(r => [(r.time - START_TIME - WARM_UP) / MIN, (Number(r.query.ts) - FIRST_TS) / 60]);
+  assert.deepEqual(sent, [[0, 0], [10, 10], [30, 30], [35, 0], [40, 40], [45, 10], [50, 50]]);
+});
+
+test('keeps at most queueMaxSize observations, dropping the oldest', async () => {
+  h.windy.reply('GET', { drop: true }, { drop: true }, { drop: true });
+  await h.firstCycle(settings({ queueMaxSize: 2 }));
+  // Retries after 5 and then 10 more minutes
+  await h.run(15);
+
+  assert.deepEqual(queued().map(entry => entry.ts), [FIRST_TS + 5 * 60, FIRST_TS + 15 * 60]);
+  assert.ok(h.log.debug.includes('Offline queue: discarded 1 expired or excess observation(s)'));
+});
+
+test('discards queued observations older than queueMaxAge', async () => {
+  h.windy.reply('GET', { drop: true });
+  await h.firstCycle(settings({ queueMaxAge: 1 }));
+  assert.equal(queued().length, 1);
+
+  // Switched off for two hours: the observation is too old to replay
+  h.plugin.stop();
+  await h.advance(2 * HOUR);
+  await h.firstCycle(settings({ queueMaxAge: 1 }));
+  assert.equal((await h.request('GET', '/status')).body.stations[0].queueLength, 0);
+  await h.run(15);
+  assert.ok(!sentTs().slice(1).includes(FIRST_TS));
+});
+
+test('a queue size of 0 disables the queue', async () => {
+  h.windy.reply('GET', { drop: true });
+  await h.firstCycle(settings({ queueMaxSize: 0 }));
+  assert.equal(fs.existsSync(path.join(h.dataDir, 'queue.json')), false);
+  assert.equal((await h.request('GET', '/history')).body.entries[0].outcome, 'failed');
+});
+
+test('a replay cycle with nothing left to replay reports live instead', async () => {
+  h.windy.reply('GET', { drop: true });
+  await h.firstCycle(settings({ queueMaxAge: 1 }));
+
+  // Back 57 minutes later: the next cycle is marked for the replay, but by then the
+  // queued observation is too old and is discarded
+  h.plugin.stop();
+  await h.advance(57 * MIN);
+  await h.firstCycle(settings({ queueMaxAge: 1 }));
+  await h.run(5);
+
+  assert.equal(queued().length, 0);
+  const [live, next] = h.windy.observations.slice(1).map(r => Number(r.query.ts));
+  assert.equal(next, live + 5 * 60);
+});
+
+test('a manual report is always live', async () => {
+  h.windy.reply('GET', { drop: true });
+  await h.firstCycle(settings({ interval: 9 }));
+  // Back online at 9 minutes, too close to the next cycle for a replay in between, so
+  // that cycle is marked for the replay
+  await h.run(15);
+
+  const response = await h.request('POST', '/report');
+  assert.equal(response.status, 200);
+  assert.equal(Number(h.windy.observations.at(-1).query.ts), FIRST_TS + 15 * 60);
+  assert.equal(queued().length, 1);
+});
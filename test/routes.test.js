@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useHarness, MIN } = require('./helpers');
+
+let h;
+useHarness(harness => { h = harness; });
+
+// A 10 minute interval leaves room for a manual report between scheduled ones
+const settings = () => h.settings({ logic: { interval: 10 } });
+
+test('POST /report runs a cycle now and restarts the countdown', async () => {
+  await h.firstCycle(settings());
+  await h.run(6);
+
+  const response = await h.request('POST', '/report');
+  assert.equal(response.status, 200);
+  assert.equal(response.body.stations[0].observation.ok, true);
+  assert.equal(h.windy.observations.length, 2);
+  const status = (await h.request('GET', '/status')).body.stations[0];
+  assert.equal(status.nextRunTime, h.clock.now() + 10 * MIN);
+});
+
+test('POST /report is refused inside the observation rate limit', async () => {
+  await h.firstCycle(settings());
+  await h.run(2);
+
+  const response = await h.request('POST', '/report');
+  assert.equal(response.status, 429);
+  assert.equal(response.headers['retry-after'], '180');
+  assert.match(response.body.error, /one observation every 5 minutes; try again in 180s/);
+  assert.equal(h.windy.observations.length, 1);
+});
+
+test('POST /report and /position are refused while a report is in progress', async () => {
+  await h.firstCycle(settings());
+  await h.run(6);
+
+  const running = h.request('POST', '/report');
+  const report = await h.request('POST', '/report');
+  const position = await h.request('POST', '/position');
+  await running;
+
+  assert.equal(report.status, 409);
+  assert.equal(position.status, 409);
+  assert.equal(position.body.error, 'A report or position update is already in progress');
+  assert.equal(h.windy.observations.length, 2);
+  assert.equal(h.windy.puts.length, 1);
+});
+
+test('POST /position is spaced by the minimum time between position updates', async () => {
+  await h.firstCycle(settings());
+
+  const early = await h.request('POST', '/position');
+  assert.equal(early.status, 429);
+  assert.equal(early.headers['retry-after'], '60');
+  assert.equal(h.windy.puts.length, 1);
+
+  await h.run(1);
+  const response = await h.request('POST', '/position');
+  assert.equal(response.status, 200);
+  assert.equal(h.windy.puts.length, 2);
+});
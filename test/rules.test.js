@@ -0,0 +1,95 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useHarness, north, START_TIME, HOME, MIN } = require('./helpers');
+const { parsePolygon, pointInPolygon, inTimeWindow } = require('../lib/rules');
+
+const OFFSHORE = { latitude: 52, longitude: 14 };
+
+// Square of 1° around HOME
+const TERRITORY = '49, 13\n49, 15\n51, 15\n51, 13';
+
+let h;
+useHarness(harness => { h = harness; });
+
+const settings = (rules) => h.settings({ identity: { shareOption: 'Public' }, rules });
+
+// Local "HH:MM" (quiet hours use the server's time zone)
+const hhmm = (ms) => {
+  const d = new Date(ms);
+  return `${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
+};
+
+test('pauses position updates and observations inside a no-report zone', async () => {
+  await h.firstCycle(settings({ geofences: [{ name: 'Home marina', latitude: 50, longitude: 14, radius: 300 }] }));
+  assert.equal(h.windy.requests.length, 0);
+  assert.match(h.log.status.at(-1), /Paused: in Home marina/);
+
+  // Leaving the zone resumes reporting at the next cycle
+  await h.nextCycle(north(HOME, 1000));
+  assert.deepEqual(h.windy.requests.map(r => r.call), ['READ', 'PUT', 'GET']);
+  assert.equal((await h.request('GET', '/status')).body.stations[0].rules, null);
+});
+
+test('sends nothing during quiet hours, including across midnight', async () => {
+  await h.firstCycle(settings({ quietHours: [{ start: hhmm(START_TIME), end: hhmm(START_TIME + 30 * MIN) }] }));
+  await h.run(25);
+  assert.equal(h.windy.requests.length, 0);
+  assert.match(h.log.status.at(-1), /Paused: quiet hours until/);
+
+  await h.run(15);
+  assert.ok(h.windy.observations.length > 0);
+  assert.ok(h.windy.observations[0].time >= START_TIME + 30 * MIN);
+
+  assert.equal(inTimeWindow(23 * 60, '22:00', '06:00'), true);
+  assert.equal(inTimeWindow(5 * 60 + 59, '22:00', '06:00'), true);
+  assert.equal(inTimeWindow(6 * 60, '22:00', '06:00'), false);
+  assert.equal(inTimeWindow(12 * 60, '22:00', '6'), false);
+});
+
+test('switches the station to private outside territorial waters, and back inside', async () => {
+  await h.firstCycle(settings({ territory: TERRITORY }), OFFSHORE);
+  assert.equal(h.windy.puts[0].body.share_option, 'private');
+  assert.equal(h.windy.observations.length, 1);
+  assert.match(h.log.status.at(-1), /Outside territory: private/);
+
+  // Back inside: the share option is restored straight away, not at the next move
+  await h.nextCycle(HOME);
+  assert.equal(h.windy.puts.length, 2);
+  assert.equal(h.windy.puts[1].body.share_option, 'public');
+});
+
+test('can withhold the position outside territorial waters instead', async () => {
+  await h.firstCycle(settings({ territory: TERRITORY, outsideTerritory: 'noPosition' }));
+  assert.equal(h.windy.puts.length, 1);
+
+  await h.nextCycle(OFFSHORE);
+  assert.equal(h.windy.puts.length, 1);
+  assert.equal(h.windy.observations.length, 2);
+
+  const response = await h.request('POST', '/position');
+  assert.equal(response.status, 409);
+  assert.equal(h.windy.puts.length, 1);
+});
+
+test('suspends reporting on the hard and resumes when the boat moves', async () => {
+  await h.firstCycle(settings({ onHardHours: 1 }));
+  // Weather sensors stay on, the GPS stops updating
+  await h.run(90);
+  const lastObservation = h.windy.observations.at(-1).time;
+  assert.ok(lastObservation <= START_TIME + 60 * MIN);
+  assert.ok(lastObservation > START_TIME + 55 * MIN);
+  assert.match(h.log.status.at(-1), /Paused: on the hard/);
+
+  await h.nextCycle(HOME);
+  assert.ok(h.windy.observations.at(-1).time > START_TIME + 90 * MIN);
+});
+
+test('a malformed territorial waters polygon is reported and ignored', async () => {
+  await h.firstCycle(settings({ territory: '49, 13\n49, 15\nfifty, 15' }), OFFSHORE);
+  assert.match(h.log.errors[0], /Territorial waters rule disabled: "fifty, 15" is not a "latitude, longitude" point/);
+  assert.equal(h.windy.puts[0].body.share_option, 'public');
+
+  assert.throws(() => parsePolygon('49, 13\n49, 15'), /at least three points/);
+  assert.equal(pointInPolygon({ lat: 50, lon: 14 }, parsePolygon(TERRITORY)), true);
+  assert.equal(pointInPolygon({ lat: 50, lon: 16 }, parsePolygon('49 13; 49 15; 51 15; 51 13')), false);
+});
@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useHarness, HOME, WARM_UP, INTERVAL } = require('./helpers');
+
+const SECOND = 1000;
+const TEMP = 'environment.outside.temperature';
+// Each sensor reads a little differently (17, 19 and 21 °C)
+const N2K = 290.15;
+const RUUVI = 292.15;
+const NMEA = 294.15;
+
+let h;
+useHarness(harness => { h = harness; });
+
+const settings = (pathMap = {}) => h.settings({ pathMap: { sources: { temp: 'n2k.115, ruuvi.cabin' }, ...pathMap } });
+
+async function start(pathMap) {
+  h.start(settings(pathMap));
+  h.set('navigation.position', HOME);
+}
+
+// One second of data: wind from the test source, temperature from each given source
+async function tick(temps) {
+  h.set('environment.wind.speedOverGround', 5);
+  h.set('environment.wind.directionTrue', 1);
+  Object.keys(temps).forEach(source => h.set(TEMP, temps[source], source));
+  await h.advance(SECOND);
+}
+
+async function run(seconds, temps) {
+  for (let i = 0; i < seconds; i++) await tick(temps);
+}
+
+test('uses the preferred source when several publish the same path', async () => {
+  await start();
+  // The unlisted source updates last each second and would win without a list
+  await run(WARM_UP / SECOND, { 'n2k.115': N2K, 'ruuvi.cabin': RUUVI, 'nmea0183.II': NMEA });
+  assert.equal(h.windy.observations[0].query.temp, '17.0');
+
+  const status = (await h.request('GET', '/status')).body.stations[0];
+  assert.equal(status.sources.temp, 'n2k.115');
+  assert.equal(status.sources.windSpeed, 'test');
+});
+
+test('fails over to the next source when the preferred one stops, and back', async () => {
+  await start();
+  await run(WARM_UP / SECOND, { 'n2k.115': N2K, 'ruuvi.cabin': RUUVI });
+
+  // The N2K sensor drops out; after the failover time only the second source is sampled
+  await run(2 * INTERVAL / SECOND, { 'ruuvi.cabin': RUUVI });
+  assert.equal(h.windy.observations[2].query.temp, '19.0');
+  assert.equal((await h.request('GET', '/status')).body.stations[0].sources.temp, 'ruuvi.cabin');
+  assert.ok(h.log.debug.includes('temp source: now ruuvi.cabin (was n2k.115)'));
+  assert.match(h.log.status.at(-1), / T<ruuvi\.cabin /);
+
+  // It resumes at once, and the next full interval is the N2K sensor's alone
+  await run(2 * INTERVAL / SECOND, { 'n2k.115': N2K, 'ruuvi.cabin': RUUVI });
+  assert.equal(h.windy.observations[4].query.temp, '17.0');
+  assert.ok(h.log.debug.some(line => /^Sources: .*temp n2k\.115/.test(line)));
+  assert.doesNotMatch(h.log.status.at(-1), /T</);
+});
+
+test('reports the field stale when no listed source is current', async () => {
+  await start({ sourceTimeout: 30 });
+  await run(WARM_UP / SECOND, { 'n2k.115': N2K });
+
+  // Only an unlisted source is still publishing
+  await run(INTERVAL / SECOND, { 'nmea0183.II': NMEA });
+  assert.equal(h.windy.observations[1].query.temp, undefined);
+  assert.match(h.log.status.at(-1), /T:stale/);
+});
+
+test('without a source list every source is sampled, as before', async () => {
+  h.start(h.settings());
+  h.set('navigation.position', HOME);
+  await run(WARM_UP / SECOND, { 'n2k.115': N2K, 'ruuvi.cabin': RUUVI });
+  // Averaged over both sources
+  assert.equal(h.windy.observations[0].query.temp, '18.0');
+});
@@ -0,0 +1,134 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useHarness, north, START_TIME, HOME, WARM_UP, INTERVAL } = require('./helpers');
+const { STATE_VERSION, migrateState } = require('../lib/state');
+
+let h;
+useHarness(harness => { h = harness; });
+
+const stateFile = () => path.join(h.dataDir, 'state.json');
+
+test('stop writes the movement baseline and schedule to state.json', async () => {
+  await h.firstCycle();
+  h.plugin.stop();
+
+  const state = JSON.parse(fs.readFileSync(stateFile(), 'utf8'));
+  assert.equal(state.version, STATE_VERSION);
+  const saved = state.stations.TEST;
+  assert.deepEqual(saved.lastSentPos, { lat: 50, lon: 14 });
+  assert.equal(saved.hasReportedPosition, true);
+  assert.equal(saved.nextRunTime, START_TIME + WARM_UP + INTERVAL);
+});
+
+test('a restart resumes the schedule instead of reporting after the warm-up', async () => {
+  await h.firstCycle();
+  await h.advance(60000);
+  h.restart();
+  h.set('navigation.position', HOME);
+
+  h.weather();
+  await h.advance(WARM_UP);
+  assert.equal(h.windy.observations.length, 1);
+
+  // Due at the time persisted before the restart, without a new position update
+  await h.advance(INTERVAL - 60000 - WARM_UP);
+  assert.deepEqual(h.windy.requests.map(r => r.call), ['READ', 'PUT', 'GET', 'READ', 'GET']);
+});
+
+test('a restart keeps the movement baseline', async () => {
+  await h.firstCycle();
+  h.restart();
+
+  // 200 m and then 350 m from the position reported before the restart
+  await h.nextCycle(north(HOME, 200));
+  assert.equal(h.windy.puts.length, 1);
+
+  await h.nextCycle(north(HOME, 350));
+  assert.equal(h.windy.puts.length, 2);
+});
+
+test('reads a pre-1.6 flat state file as the primary station', async () => {
+  fs.writeFileSync(stateFile(), JSON.stringify({
+    lastSentPos: { lat: 50, lon: 14 },
+    currentDistance: 0,
+    nextRunTime: START_TIME + 60000,
+    hasReportedPosition: true
+  }));
+  h.windy.station = { lat: 50, lon: 14, elev_m: 0, agl_wind: 10, agl_temp: 2 };
+  h.start();
+  h.set('navigation.position', HOME);
+  h.weather();
+
+  await h.advance(60000);
+  assert.deepEqual(h.windy.requests.map(r => r.call), ['READ', 'GET']);
+});
+
+test('keeps the state of stations that are no longer configured', async () => {
+  fs.writeFileSync(stateFile(), JSON.stringify({
+    stations: { OTHER: { lastSentPos: { lat: 1, lon: 2 }, hasReportedPosition: true, nextRunTime: 0 } }
+  }));
+  await h.firstCycle();
+  h.plugin.stop();
+
+  const stations = JSON.parse(fs.readFileSync(stateFile(), 'utf8')).stations;
+  assert.deepEqual(Object.keys(stations).sort(), ['OTHER', 'TEST']);
+  assert.deepEqual(stations.OTHER.lastSentPos, { lat: 1, lon: 2 });
+});
+
+test('checkpoints after each cycle, so a crash without stop keeps the state', async () => {
+  await h.firstCycle();
+  // No stop: the process died. A new instance reads what was checkpointed.
+  await h.firstCycle();
+  assert.deepEqual(h.windy.requests.map(r => r.call), ['READ', 'PUT', 'GET']);
+});
+
+test('checkpoints the movement distance on the timer', async () => {
+  await h.firstCycle();
+  h.set('navigation.position', north(HOME, 120));
+  await h.advance(60000);
+
+  const saved = JSON.parse(fs.readFileSync(stateFile(), 'utf8')).stations.TEST;
+  assert.equal(Math.round(saved.currentDistance), 120);
+  assert.equal(fs.existsSync(`${stateFile()}.tmp`), false);
+});
+
+test('keeps a corrupt state file as a backup and logs it', async () => {
+  fs.writeFileSync(stateFile(), '{"version":2,"stations":{"TEST":{"lastSen');
+  await h.firstCycle();
+
+  const backups = fs.readdirSync(h.dataDir).filter(f => f.startsWith('state.json.corrupt-'));
+  assert.equal(backups.length, 1);
+  assert.equal(fs.readFileSync(path.join(h.dataDir, backups[0]), 'utf8'), '{"version":2,"stations":{"TEST":{"lastSen');
+  assert.match(h.log.errors[0], /^state\.json could not be read .* kept as state\.json\.corrupt-/);
+  // Fresh state: the position is established again
+  assert.equal(h.windy.puts.length, 1);
+});
+
+test('sets aside a state file from a newer release', async () => {
+  fs.writeFileSync(stateFile(), JSON.stringify({ version: STATE_VERSION + 1, stations: {} }));
+  h.start();
+  assert.match(h.log.errors[0], /newer plugin release/);
+  assert.equal(fs.readdirSync(h.dataDir).filter(f => f.startsWith('state.json.corrupt-')).length, 1);
+});
+
+test('keeps a corrupt queue file as a backup', async () => {
+  fs.writeFileSync(path.join(h.dataDir, 'queue.json'), '[{"ts":17');
+  await h.firstCycle();
+  assert.equal(fs.readdirSync(h.dataDir).filter(f => f.startsWith('queue.json.corrupt-')).length, 1);
+  assert.equal(h.windy.observations.length, 1);
+});
+
+test('migrateState upgrades each earlier schema version', () => {
+  const flat = { lastSentPos: { lat: 1, lon: 2 }, hasReportedPosition: true };
+  assert.deepEqual(migrateState(flat, { primaryKey: 'A' }), {
+    state: { version: STATE_VERSION, stations: { A: flat } },
+    migratedFrom: 1
+  });
+  const unversioned = { stations: { A: flat } };
+  assert.equal(migrateState(unversioned, { primaryKey: 'A' }).migratedFrom, null);
+  const current = { version: STATE_VERSION, stations: { A: flat } };
+  assert.equal(migrateState(current, { primaryKey: 'A' }).migratedFrom, null);
+  assert.throws(() => migrateState([], { primaryKey: 'A' }), /not a state object/);
+});
@@ -0,0 +1,109 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useHarness, north, START_TIME, HOME, WARM_UP, MIN } = require('./helpers');
+
+let h;
+useHarness(harness => { h = harness; });
+
+// A record matching the configuration below, positioned at HOME
+const RECORD = { name: 'Aurora', operator_text: 'Aurora', share_option: 'public', elev_m: 0, agl_wind: 10, agl_temp: 2, lat: 50, lon: 14 };
+// The full metadata PUT for that configuration at HOME
+const METADATA = { ...RECORD, operator_url: '' };
+
+const settings = (logic = {}) => h.settings({ identity: { stationName: 'Aurora', shareOption: 'Public' }, logic });
+
+test('reads the record on start and corrects a drifted position with a full update', async () => {
+  h.windy.station = { ...RECORD, lat: 40 };
+  await h.firstCycle(settings());
+  assert.deepEqual(h.windy.requests.map(r => r.call), ['READ', 'PUT', 'GET']);
+  assert.deepEqual(h.windy.puts[0].body, METADATA);
+
+  const status = (await h.request('GET', '/status')).body.stations[0];
+  assert.equal(status.stationConfirmed, true);
+  assert.deepEqual(status.lastSync.changes, ['lat', 'lon']);
+  assert.equal(status.lastSync.ok, true);
+});
+
+test('corrects a field edited on Windy at the next sync', async () => {
+  await h.firstCycle(settings());
+  assert.equal(h.windy.puts.length, 1);
+
+  // Someone changes the station in the Windy web interface
+  h.windy.station = { ...h.windy.station, name: 'My station', agl_wind: 5 };
+  await h.run(59);
+  assert.equal(h.windy.reads.length, 1);
+  await h.run(1);
+  assert.equal(h.windy.reads.length, 2);
+  assert.deepEqual(h.windy.puts[1].body, METADATA);
+  assert.ok(h.log.debug.includes('Station sync: name "My station" → "Aurora"'));
+  assert.equal(h.windy.station.name, 'Aurora');
+});
+
+test('re-sends a position that drifted beyond the movement threshold', async () => {
+  await h.firstCycle(settings());
+  const drifted = north(HOME, 500);
+  h.windy.station = { ...h.windy.station, lat: drifted.latitude, lon: drifted.longitude };
+  await h.run(60);
+  assert.equal(h.windy.puts.length, 2);
+  assert.deepEqual(h.windy.puts[1].body, METADATA);
+});
+
+test('ignores settings the record does not return', async () => {
+  // Windy does not echo the station type back
+  h.windy.reply('READ', ...Array(3).fill(() => ({ status: 200, body: RECORD })));
+  const s = settings();
+  s.identity.station_type = 'Davis Vantage Pro2';
+  await h.firstCycle(s);
+  await h.run(120);
+  assert.equal(h.windy.reads.length, 3);
+  assert.equal(h.windy.puts.length, 0);
+});
+
+test('a record position within the threshold becomes the movement baseline', async () => {
+  const near = north(HOME, 100);
+  h.windy.station = { ...RECORD, lat: near.latitude, lon: near.longitude };
+  await h.firstCycle(settings());
+  assert.deepEqual(h.windy.requests.map(r => r.call), ['READ', 'GET']);
+  assert.ok(h.log.debug.includes('Station sync: position on Windy is 100m away; using it as the movement baseline'));
+
+  // 250 m from the record, and so 350 m from where Windy shows the station
+  h.set('navigation.position', north(HOME, -250));
+  await h.run(5);
+  assert.equal(h.windy.puts.length, 1);
+});
+
+test('holds observations back while Windy has no such station', async () => {
+  h.windy.reply('READ', { status: 404, body: {} });
+  await h.firstCycle(settings());
+  assert.deepEqual(h.windy.requests.map(r => r.call), ['READ']);
+  assert.match(h.log.pluginErrors[0], /Windy has no station with this Station ID \(404\)/);
+  assert.match(h.log.status.at(-1), /Station not found on Windy/);
+  assert.equal((await h.request('GET', '/status')).body.stations[0].stationConfirmed, false);
+
+  // Created on Windy in the meantime: the next cycle reads it again and reports
+  await h.run(5);
+  assert.deepEqual(h.windy.requests.map(r => r.call), ['READ', 'READ', 'PUT', 'GET']);
+  assert.ok(h.windy.observations[0].time >= START_TIME + WARM_UP + 5 * MIN);
+});
+
+test('a rejected API key does not hold observations back', async () => {
+  h.windy.reply('READ', { status: 403, body: { message: 'Forbidden resource' } });
+  await h.firstCycle(settings());
+  // Observations use the Station Password, so the GET still goes out
+  assert.deepEqual(h.windy.requests.map(r => r.call), ['READ', 'PUT', 'GET']);
+  assert.match(h.log.pluginErrors[0], /Windy rejected the API Key or Station ID \(403\)/);
+  assert.doesNotMatch(h.log.status.at(-1), /Station not found on Windy/);
+  assert.equal((await h.request('GET', '/status')).body.stations[0].stationConfirmed, null);
+
+  // The record is read again at the next cycle
+  await h.run(5);
+  assert.deepEqual(h.windy.requests.slice(3).map(r => r.call), ['READ', 'GET']);
+});
+
+test('a sync interval of 0 never reads the record', async () => {
+  await h.firstCycle(settings({ syncInterval: 0 }));
+  await h.run(120);
+  assert.equal(h.windy.reads.length, 0);
+  assert.equal(h.windy.puts.length, 1);
+  assert.equal((await h.request('GET', '/status')).body.stations[0].stationConfirmed, null);
+});
@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useHarness, north, HOME, START_TIME, WARM_UP } = require('./helpers');
+
+let h;
+useHarness(harness => { h = harness; });
+
+// Every delta the plugin sent for a path
+const sent = (p) => h.log.deltas.flatMap(d => (d.updates || []).flatMap(u => u.values || [])).filter(v => v.path === p);
+
+test('publishes the reporting state under plugins.windy', async () => {
+  await h.firstCycle();
+  await h.advance(1000);
+
+  assert.equal(h.published('plugins.windy.lastHttpStatus'), 200);
+  assert.equal(h.published('plugins.windy.lastUploadTime'), new Date(START_TIME + WARM_UP).toISOString());
+  assert.equal(h.published('plugins.windy.lastError'), null);
+  assert.equal(h.published('plugins.windy.queueLength'), 0);
+  assert.equal(h.published('plugins.windy.qcRejected'), 0);
+  assert.equal(h.published('plugins.windy.movementDistance'), 0);
+
+  // Units are published once, for dashboards and loggers
+  const meta = h.log.deltas.flatMap(d => (d.updates || []).flatMap(u => u.meta || []));
+  assert.deepEqual(meta.find(m => m.path === 'plugins.windy.movementDistance').value.units, 'm');
+});
+
+test('sends only the values that changed', async () => {
+  await h.firstCycle();
+  await h.advance(1000);
+  const distances = sent('plugins.windy.movementDistance').length;
+  const statuses = sent('plugins.windy.lastHttpStatus').length;
+
+  h.set('navigation.position', north(HOME, 120));
+  await h.advance(5000);
+  assert.equal(h.published('plugins.windy.movementDistance'), 120);
+  assert.equal(sent('plugins.windy.movementDistance').length, distances + 1);
+  assert.equal(sent('plugins.windy.lastHttpStatus').length, statuses);
+});
+
+test('publishes the peak gust since the last report', async () => {
+  await h.firstCycle();
+  h.weather({ windSpeed: 9 });
+  await h.advance(5000);
+  assert.equal(h.published('environment.wind.gustPeakInterval'), 9);
+});
+
+test('raises a notification for an API error and clears it after the next success', async () => {
+  h.windy.reply('GET', { status: 500, body: { message: 'Internal error' } });
+  await h.firstCycle();
+  assert.equal(h.published('notifications.windy.observation').state, 'alert');
+
+  await h.nextCycle();
+  assert.equal(h.published('notifications.windy.observation').state, 'normal');
+});
+
+test('does not raise a notification for a network error', async () => {
+  h.windy.reply('GET', { drop: true });
+  await h.firstCycle();
+  assert.equal(h.published('notifications.windy.observation'), undefined);
+});
+
+test('an additional station publishes under its Station ID', async () => {
+  const settings = h.settings({ stations: [{ credentials: { stationId: 'SECOND', stationPassword: 'pw2' } }] });
+  await h.firstCycle(settings);
+  await h.advance(1000);
+
+  assert.deepEqual(h.windy.observations.map(r => r.headers.authorization), ['Bearer secret', 'Bearer pw2']);
+  assert.equal(h.published('plugins.windy.stations.SECOND.lastHttpStatus'), 200);
+  assert.equal(h.published('plugins.windy.lastHttpStatus'), 200);
+});
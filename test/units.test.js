@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useHarness, HOME, WARM_UP } = require('./helpers');
+const { converter } = require('../lib/units');
+
+let h;
+useHarness(harness => { h = harness; });
+
+// Path overrides pointing at a plugin that publishes in display units
+const DERIVED = {
+  windSpeed: 'derived.wind.speedKnots',
+  temp: 'derived.outside.temperatureC',
+  pressure: 'derived.outside.pressureHpa',
+  humidity: 'derived.outside.humidityPercent'
+};
+
+async function report(declared, values, settings = h.settings({ pathMap: DERIVED })) {
+  h.start(settings);
+  h.set('navigation.position', HOME);
+  Object.keys(declared).forEach(key => h.units(DERIVED[key], declared[key]));
+  h.set('environment.wind.directionTrue', 1);
+  Object.keys(values).forEach(key => h.set(DERIVED[key], values[key]));
+  await h.advance(WARM_UP);
+  return h.windy.observations[0].query;
+}
+
+test('converts values from the units their path declares', async () => {
+  const query = await report(
+    { windSpeed: 'kn', temp: '°C', pressure: 'hPa', humidity: '%' },
+    { windSpeed: 10, temp: 18.5, pressure: 1013.2, humidity: 65 }
+  );
+  assert.equal(query.wind, '5.1');
+  assert.equal(query.temp, '18.5');
+  assert.equal(query.pressure, '101320');
+  assert.equal(query.rh, '65');
+});
+
+test('converts snapshot values too', async () => {
+  const settings = h.settings({ pathMap: DERIVED, aggregation: { averagingMode: 'instant' } });
+  const query = await report({ temp: 'F' }, { temp: 50 }, settings);
+  assert.equal(query.temp, '10.0');
+});
+
+test('refuses a value in unknown units with a clear error', async () => {
+  const query = await report({ temp: 'Réaumur', humidity: 'ratio' }, { temp: 15, humidity: 0.65 });
+  assert.equal(query.temp, undefined);
+  assert.equal(query.rh, '65');
+  assert.equal(h.log.errors.length, 1);
+  assert.equal(h.log.errors[0], 'derived.outside.temperatureC is in unknown units "Réaumur" (expected K or a convertible unit); temp is not reported');
+  assert.equal(h.log.pluginErrors[0], h.log.errors[0]);
+  assert.deepEqual((await h.request('GET', '/status')).body.stations[0].unitErrors, { temp: 'Réaumur' });
+});
+
+test('takes paths without meta.units to be in SI units', async () => {
+  const query = await report({}, { windSpeed: 5, temp: 290 });
+  assert.equal(query.wind, '5.0');
+  assert.equal(query.temp, '16.9');
+});
+
+test('knows each unit only for its own quantity', () => {
+  assert.equal(converter('temperature', 'hPa'), null);
+  assert.equal(converter('pressure', 'inHg')(30), 101591.67);
+  assert.equal(converter('angle', 'deg')(180), Math.PI);
+  assert.equal(converter('length', 'mm')(2), 0.002);
+});
@@ -0,0 +1,72 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useHarness, MIN } = require('./helpers');
+
+let h;
+useHarness(harness => { h = harness; });
+
+const settings = () => h.settings({ deriveTrueWind: true });
+
+// Heading north at 5 m/s with 5 m/s of apparent wind on the starboard beam: the true
+// wind is 7.07 m/s from the south-east (135°)
+function beamReach() {
+  h.set('navigation.headingTrue', 0);
+  h.set('navigation.speedOverGround', 5);
+  h.set('navigation.courseOverGroundTrue', 0);
+  h.set('environment.wind.angleApparent', Math.PI / 2);
+  h.set('environment.wind.speedApparent', 5);
+}
+
+test('derives true wind from apparent wind and boat motion', async () => {
+  const query = await h.firstObservation(settings(), beamReach);
+  assert.equal(query.wind, '7.1');
+  assert.equal(query.winddir, '135');
+});
+
+test('derives speed and direction together when only the direction is missing', async () => {
+  const query = await h.firstObservation(settings(), () => {
+    beamReach();
+    h.set('environment.wind.speedOverGround', 12);
+  });
+  // The measured 12 m/s is not paired with the derived direction
+  assert.equal(query.wind, '7.1');
+  assert.equal(query.winddir, '135');
+  const status = (await h.request('GET', '/status')).body.stations[0];
+  assert.equal(status.sources.windSpeed, undefined);
+});
+
+test('stands in for true wind that has gone stale, with its peak gust', async () => {
+  await h.firstObservation(h.settings({ deriveTrueWind: true, aggregation: { gustWindow: 0 } }), () => {
+    beamReach();
+    h.weather({ windSpeed: 12, windDir: Math.PI });
+  });
+  // The true-wind sensor stops; the apparent wind and the temperature carry on
+  for (let i = 0; i < 11; i++) {
+    beamReach();
+    h.set('environment.outside.temperature', 290);
+    await h.advance(MIN);
+  }
+  const query = h.windy.observations.at(-1).query;
+  assert.equal(query.wind, '7.1');
+  assert.equal(query.gust, '7.1');
+  assert.deepEqual((await h.request('GET', '/status')).body.stations[0].staleFields, []);
+  assert.doesNotMatch(h.log.status.at(-1), /:stale/);
+});
+
+test('never overrides measured true wind', async () => {
+  const query = await h.firstObservation(settings(), () => {
+    beamReach();
+    h.weather({ windSpeed: 12, windDir: Math.PI });
+  });
+  assert.equal(query.wind, '12.0');
+  assert.equal(query.winddir, '180');
+});
+
+test('derives nothing unless the option is enabled', async () => {
+  const query = await h.firstObservation(h.settings(), () => {
+    beamReach();
+    h.set('environment.outside.temperature', 290);
+  });
+  assert.equal(query.wind, undefined);
+  assert.equal(query.winddir, undefined);
+});
@@ -0,0 +1,84 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useHarness, INTERVAL } = require('./helpers');
+const windy = require('../lib/backends/windy');
+
+let h;
+useHarness(harness => { h = harness; });
+
+// A 429 reply asking to retry `ms` after the moment of the request
+const rateLimited = (ms) => () => ({ status: 429, body: { retry_after: new Date(h.clock.now() + ms).toISOString() } });
+
+test('429 reschedules the observation at retry_after', async () => {
+  h.windy.reply('GET', rateLimited(2 * 60000));
+  await h.firstCycle();
+  assert.equal(h.windy.observations.length, 1);
+
+  h.weather();
+  await h.advance(2 * 60000 - 1000);
+  assert.equal(h.windy.observations.length, 1);
+  await h.advance(1000);
+  assert.equal(h.windy.observations.length, 2);
+
+  // A rate limit is expected flow, not an error
+  assert.deepEqual(h.log.pluginErrors, []);
+});
+
+test('429 with a retry_after beyond 10 minutes falls back to the normal interval', async () => {
+  h.windy.reply('GET', rateLimited(30 * 60000));
+  await h.firstCycle();
+
+  h.weather();
+  await h.advance(INTERVAL - 1000);
+  assert.equal(h.windy.observations.length, 1);
+  await h.advance(1000);
+  assert.equal(h.windy.observations.length, 2);
+});
+
+test('429 without a usable retry_after falls back to the normal interval', async () => {
+  h.windy.reply('GET', { status: 429, body: { retry_after: 'soon' } });
+  await h.firstCycle();
+
+  await h.nextCycle();
+  assert.equal(h.windy.observations.length, 2);
+  assert.deepEqual(h.log.pluginErrors, []);
+});
+
+test('403 on the station update names the API Key and Station ID', async () => {
+  h.windy.reply('PUT', { status: 403, body: { message: 'Forbidden resource' } });
+  await h.firstCycle();
+
+  assert.match(h.log.pluginErrors.at(-1), /API Key or Station ID \(403\)/);
+  // The observation is still sent after a failed position update
+  assert.equal(h.windy.observations.length, 1);
+});
+
+test('400 mentioning the password on the observation names the Station Password', async () => {
+  h.windy.reply('GET', { status: 400, body: { message: 'Provided password is invalid' } });
+  await h.firstCycle();
+  assert.match(h.log.pluginErrors.at(-1), /^Station Password rejected by Windy/);
+});
+
+test('400 without a password message keeps the generic message', async () => {
+  h.windy.reply('GET', { status: 400, body: { message: 'winddir must not be greater than 359' } });
+  await h.firstCycle();
+  assert.match(h.log.pluginErrors.at(-1), /^Observation failed: Status 400/);
+});
+
+test('classifyError measures retry_after against the given time', () => {
+  const now = Date.parse('2026-06-01T10:00:00Z');
+  const err = { response: { status: 429, data: { retry_after: '2026-06-01T10:03:00Z' } } };
+  assert.deepEqual(windy.classifyError(err, 'observation', now), { kind: 'rateLimit', retryMs: 180000 });
+  assert.deepEqual(windy.classifyError(err, 'observation', now + 200000), { kind: 'rateLimit', retryMs: null });
+});
+
+test('classifyError treats a 403 on the observation as a generic API error', () => {
+  const err = { response: { status: 403, data: { message: 'Forbidden resource' } } };
+  assert.equal(windy.classifyError(err, 'observation').kind, 'api');
+  assert.equal(windy.classifyError(err, 'station').kind, 'auth');
+});
+
+test('classifyError reports a missing response as a network error', () => {
+  const err = new Error('getaddrinfo EAI_AGAIN stations.windy.com');
+  assert.equal(windy.classifyError(err, 'observation').kind, 'network');
+});
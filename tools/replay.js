@@ -0,0 +1,263 @@
+#!/usr/bin/env node
+/*
+ * Signal K Windy API v2 Reporter - Replay harness
+ *
+ * Copyright (C) 2026 Peter Petrik
+ *
+ * SPDX-License-Identifier: GPL-3.0-or-later
+ */
+
+/**
+ * Drives the plugin from a recorded Signal K delta log, without a boat or a server.
+ *
+ * Each line of the log is one Signal K delta (newline-delimited JSON). The deltas are
+ * fed, in order, through the same subscription callback plugin.start registers, and
+ * getSelfPath answers from the values replayed so far. Deltas of other contexts (AIS
+ * met stations, buddy boats) are replayed when an additional station reports for
+ * them, and answered through getPath. Time is virtual (lib/clock.js):
+ * it jumps to each delta's timestamp and fires the plugin's timers in between, so a
+ * six-hour passage replays in seconds with the reporting cycle, movement guard, gust
+ * tracking and rate-limit handling behaving as they would have on board.
+ *
+ * Every HTTP request the plugin makes is printed with its virtual time. With --dry-run
+ * requests are answered locally with 200 and nothing leaves the machine; otherwise
+ * they go to the configured servers, normally a local mock given by --base-url.
+ *
+ * Usage:
+ *   node tools/replay.js <deltas.ndjson> [options]
+ *
+ *   --config <file>     Plugin settings (the plugin-config-data JSON file, or just its
+ *                       "configuration" object). Defaults to a test station "REPLAY".
+ *   --base-url <url>    Windy server to send to, e.g. http://localhost:8080
+ *   --dry-run           Answer every request locally with 200 instead of sending it
+ *   --self <context>    Context of the own vessel (default: the most common context)
+ *   --tail <minutes>    Keep the clock running this long after the last delta (default 0)
+ *   --data-dir <dir>    Directory for state.json/queue.json (default: a fresh temp dir)
+ *   --verbose           Also print debug output, status and errors from the plugin
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const { createVirtualClock } = require('../lib/clock');
+const createPlugin = require('..');
+
+const USAGE = 'Usage: node tools/replay.js <deltas.ndjson> [--config file] [--base-url url | --dry-run] [--self context] [--tail minutes] [--data-dir dir] [--verbose]';
+
+function parseArgs(argv) {
+  const args = { tail: 0 };
+  const valued = { '--config': 'config', '--base-url': 'baseUrl', '--self': 'self', '--tail': 'tail', '--data-dir': 'dataDir' };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (valued[arg]) {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      args[valued[arg]] = argv[++i];
+    } else if (arg === '--dry-run') {
+      args.dryRun = true;
+    } else if (arg === '--verbose') {
+      args.verbose = true;
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option ${arg}`);
+    } else if (!args.log) {
+      args.log = arg;
+    } else {
+      throw new Error(`Unexpected argument ${arg}`);
+    }
+  }
+  if (!args.log) throw new Error('No delta log given');
+  if (args.dryRun && args.baseUrl) throw new Error('--dry-run and --base-url cannot be combined');
+  args.tail = Number(args.tail);
+  if (!(args.tail >= 0)) throw new Error('--tail must be a number of minutes');
+  return args;
+}
+
+// Parses the log, skipping blank lines and reporting any that are not JSON deltas
+function readDeltas(file) {
+  const deltas = [];
+  let skipped = 0;
+  fs.readFileSync(file, 'utf8').split('\n').forEach(line => {
+    if (!line.trim()) return;
+    try {
+      const delta = JSON.parse(line);
+      if (delta && Array.isArray(delta.updates)) deltas.push(delta);
+      else skipped++;
+    } catch (e) {
+      skipped++;
+    }
+  });
+  if (skipped) process.stderr.write(`Skipped ${skipped} line(s) that are not Signal K deltas\n`);
+  return deltas;
+}
+
+// A recorded server log mixes the own vessel with AIS targets. Unless told otherwise,
+// the own vessel is the context that appears most often.
+function selfContext(deltas) {
+  const counts = {};
+  deltas.forEach(d => { if (d.context) counts[d.context] = (counts[d.context] || 0) + 1; });
+  return Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0] || 'vessels.self';
+}
+
+function loadSettings(args) {
+  let settings = {
+    credentials: { stationId: 'REPLAY', stationPassword: 'replay', apiKey: 'replay' },
+    identity: {},
+    logic: {},
+    pathMap: {}
+  };
+  if (args.config) {
+    const file = JSON.parse(fs.readFileSync(args.config, 'utf8'));
+    settings = file.configuration || file;
+  }
+  if (args.baseUrl) {
+    settings.backends = settings.backends || {};
+    settings.backends.windy = Object.assign({}, settings.backends.windy, { baseUrl: args.baseUrl });
+  }
+  // CWOP talks to APRS-IS over TCP, which the harness neither records nor answers
+  if (args.dryRun && settings.backends && settings.backends.cwop && settings.backends.cwop.enabled) {
+    process.stderr.write('CWOP is not replayed in --dry-run mode; disabling it\n');
+    settings.backends.cwop = Object.assign({}, settings.backends.cwop, { enabled: false });
+  }
+  return settings;
+}
+
+// Keeps passwords in query strings (Weather Underground, PWSweather) out of the output
+function redact(url) {
+  return url.replace(/([?&]PASSWORD=)[^&]*/i, '$1***');
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const deltas = readDeltas(args.log);
+  if (deltas.length === 0) throw new Error(`${args.log} contains no Signal K deltas`);
+  const self = args.self || selfContext(deltas);
+  const isSelf = (d) => !d.context || d.context === 'vessels.self' || d.context === self;
+  // The plugin subscribes to the own vessel as vessels.self
+  const contextOf = (d) => isSelf(d) ? 'vessels.self' : d.context;
+  const timeOf = (d) => {
+    const stamped = d.updates.find(u => u.timestamp);
+    const time = stamped ? Date.parse(stamped.timestamp) : NaN;
+    return Number.isFinite(time) ? time : null;
+  };
+  const firstTime = deltas.map(timeOf).find(t => t !== null);
+  if (firstTime === undefined) throw new Error(`${args.log} has no update timestamps to replay against`);
+
+  // --- HTTP CAPTURE ---
+  // Every request goes through the shared axios instance, so interceptors see them all.
+  // In-flight requests are counted so the clock waits for each to finish before the
+  // next timer fires, as it would in real time.
+  let inFlight = 0;
+  const requests = [];
+  const print = (config, status) => {
+    const method = (config.method || 'get').toUpperCase();
+    const time = new Date(config.replayTime).toISOString();
+    const body = config.data !== undefined ? ` ${typeof config.data === 'string' ? config.data : JSON.stringify(config.data)}` : '';
+    requests.push({ time, method, url: config.url, status });
+    process.stdout.write(`${time} ${method} ${redact(config.url)}${body} -> ${status}\n`);
+  };
+  const settle = async () => {
+    do {
+      await new Promise(resolve => setImmediate(resolve));
+      if (inFlight > 0) await new Promise(resolve => setTimeout(resolve, 5));
+    } while (inFlight > 0);
+  };
+  const clock = createVirtualClock({ start: firstTime, settle });
+
+  axios.interceptors.request.use(config => {
+    inFlight++;
+    config.replayTime = clock.now();
+    if (args.dryRun) {
+      config.adapter = async (cfg) => ({ status: 200, statusText: 'OK', headers: {}, config: cfg, request: {}, data: '' });
+    }
+    return config;
+  });
+  axios.interceptors.response.use(response => {
+    inFlight--;
+    print(response.config, response.status);
+    return response;
+  }, err => {
+    inFlight--;
+    if (err.config) print(err.config, err.response ? err.response.status : err.code || 'ERROR');
+    return Promise.reject(err);
+  });
+
+  // --- MOCK SIGNAL K SERVER ---
+  // One tree and one subscription per context
+  const trees = { 'vessels.self': {} };
+  const subscriptions = {};
+  const log = (prefix) => (...parts) => {
+    if (args.verbose) process.stderr.write(`${new Date(clock.now()).toISOString()} ${prefix} ${parts.join(' ')}\n`);
+  };
+  const dataDir = args.dataDir || fs.mkdtempSync(path.join(os.tmpdir(), 'windy-replay-'));
+  const app = {
+    debug: log('debug'),
+    error: log('error'),
+    setPluginStatus: log('status'),
+    setPluginError: log('error'),
+    getDataDirPath: () => dataDir,
+    getSelfPath: (p) => trees['vessels.self'][p],
+    getPath: (full) => {
+      const context = Object.keys(trees).find(c => c !== 'vessels.self' && full.startsWith(`${c}.`));
+      return context ? trees[context][full.slice(context.length + 1)] : undefined;
+    },
+    handleMessage: () => {},
+    subscriptionmanager: {
+      subscribe: (command, unsubscribes, onError, callback) => {
+        subscriptions[command.context] = { paths: new Set(command.subscribe.map(s => s.path)), callback };
+      }
+    }
+  };
+
+  const plugin = createPlugin(app, clock);
+  plugin.start(loadSettings(args));
+  if (!subscriptions['vessels.self']) throw new Error('The plugin did not subscribe; check the configuration');
+
+  // --- REPLAY ---
+  let replayed = 0;
+  for (const delta of deltas) {
+    const context = contextOf(delta);
+    const subscription = subscriptions[context];
+    if (!subscription) continue;
+    const tree = trees[context] = trees[context] || {};
+    const time = timeOf(delta);
+    if (time !== null) await clock.advanceTo(time);
+
+    const updates = delta.updates
+      .filter(u => Array.isArray(u.values) || Array.isArray(u.meta))
+      .map(u => {
+        const timestamp = u.timestamp || new Date(clock.now()).toISOString();
+        const $source = u.$source || (u.source && u.source.label) || 'replay';
+        // Metadata updates carry the units of paths that are not in SI units
+        (u.meta || []).forEach(m => {
+          tree[m.path] = { ...tree[m.path], meta: { ...(tree[m.path] || {}).meta, ...m.value } };
+        });
+        // Per-source values as the server keeps them, for the Preferred Sources setting
+        const values = u.values || [];
+        values.forEach(v => {
+          const bySource = { ...(tree[v.path] && tree[v.path].values), [$source]: { value: v.value, timestamp } };
+          tree[v.path] = { ...tree[v.path], value: v.value, timestamp, $source, values: bySource };
+        });
+        return { ...u, $source, values: values.filter(v => subscription.paths.has(v.path)) };
+      })
+      .filter(u => u.values.length > 0);
+    if (updates.length > 0) {
+      subscription.callback({ context, updates });
+      await settle();
+    }
+    replayed++;
+  }
+  await clock.advanceTo(clock.now() + args.tail * 60000);
+
+  plugin.stop();
+  await settle();
+  const put = requests.filter(r => r.method === 'PUT').length;
+  // Station sync reads the record with a GET on the same path the PUT writes
+  const read = requests.filter(r => r.method === 'GET' && /\/api\/v2\/pws\//.test(r.url)).length;
+  process.stderr.write(`Replayed ${replayed} deltas for ${self} over ${((clock.now() - firstTime) / 60000).toFixed(1)} min: ` +
+    `${put} PUT, ${read} station read, ${requests.length - put - read} GET. State in ${dataDir}\n`);
+}
+
+main().catch(err => {
+  process.stderr.write(`${err.message}\n${USAGE}\n`);
+  process.exitCode = 1;
+});